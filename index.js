@@ -1,18 +1,35 @@
 "use strict";
 
-import { getInput, info, warning, debug, setOutput, isDebug, setFailed } from '@actions/core';
+import { getInput, getBooleanInput, info, warning, error, notice, debug, setOutput, isDebug, setFailed, startGroup,
+  endGroup } from '@actions/core';
 import { exec as _exec, getExecOutput } from '@actions/exec';
-import { existsSync, readdirSync, writeFileSync, readFileSync, unlinkSync } from 'fs';
+import { existsSync, readdirSync, writeFileSync, readFileSync, unlinkSync, copyFileSync, appendFileSync, statSync,
+  utimesSync } from 'fs';
 import { mkdirP, which } from '@actions/io';
-import { normalize, join, isAbsolute, basename, dirname } from 'path';
+import { normalize, join, isAbsolute, basename, dirname, extname, resolve } from 'path';
+import { cpus } from 'os';
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
 import { fileSync } from 'tmp';
 import { argStringToArray } from '@actions/exec/lib/toolrunner';
+import { parser as saxParser } from 'sax';
 
 const CMakeApiClientName = "client-msvc-ca-action";
-// Paths relative to absolute path to cl.exe
-const RelativeRulesetPath = '..\\..\\..\\..\\..\\..\\..\\..\\Team Tools\\Static Analysis Tools\\Rule Sets';
-const RelativeToolsetPath = '..\\..\\..\\..';
-const RelativeCommandPromptPath = '..\\..\\..\\..\\..\\..\\..\\Auxiliary\\Build\\vcvarsall.bat';
+// Object kinds and major versions requested from the CMake file API
+const CMakeApiRequests = [
+  { kind: "codemodel", version: 2 },
+  { kind: "toolchains", version: 1 },
+  { kind: "cmakeFiles", version: 1 }
+];
+// Minimum CMake version providing all reply data needed
+const MinimumCMakeVersion = "3.20.5";
+// Host architecture of each 'Host<arch>' directory in the bin folder of a MSVC toolset
+const MsvcHostArchitectures = { hostx86: "x86", hostx64: "x64", hostarm64: "arm64" };
+// Target architecture directories under each host directory, arm64ec uses the arm64 compiler with /arm64EC
+const MsvcTargetArchitectures = ["x86", "x64", "arm", "arm64"];
+// Paths relative to the installation directory of Visual Studio or the Build Tools
+const RelativeRulesetPath = join('Team Tools', 'Static Analysis Tools', 'Rule Sets');
+const RelativeCommandPromptPath = join('VC', 'Auxiliary', 'Build', 'vcvarsall.bat');
 
 /**
  * Validate if the given directory both exists and is non-empty.
@@ -31,17 +48,45 @@ function isDirectoryEmpty(targetDir) {
  */
 function containsSubdirectory(parentDirs, targetDir) {
   const normalizedTarget = normalize(targetDir);
-  return parentDirs.some((parentDir) => normalizedTarget.startsWith(normalize(parentDir)));
+  return parentDirs.some((parentDir) => {
+    // compare whole path segments so 'C:\VS\2022' does not contain 'C:\VS\2022Preview'
+    const normalizedParent = normalize(parentDir).replace(/[\\/]+$/, "");
+    return normalizedTarget.startsWith(normalizedParent) && (normalizedTarget.length == normalizedParent.length ||
+      /[\\/]/.test(normalizedTarget[normalizedParent.length]));
+  });
 }
 
 /**
- * Get normalized relative path from a given file/directory.
- * @param {string} fromPath path to join relative path to
- * @param {string} relativePath relative path to append
- * @returns normalized path
+ * Convert a glob pattern into a regular expression. '**' matches any number of directories, '*'
+ * matches within a single path segment and '?' matches a single character. Matching ignores case and
+ * path separator differences.
+ * @param {string} pattern glob pattern
+ * @returns regular expression matching the entire path
  */
-function getRelativeTo(fromPath, relativePath) {
-  return normalize(join(fromPath, relativePath))
+function globToRegExp(pattern) {
+  let regex = "";
+  const normalizedPattern = pattern.replace(/\\/g, "/");
+  for (let i = 0; i < normalizedPattern.length; ++i) {
+    const c = normalizedPattern[i];
+    if (c == "*" && normalizedPattern[i + 1] == "*") {
+      // '**/' also matches no directories at all
+      if (normalizedPattern[i + 2] == "/") {
+        regex += "(?:.*/)?";
+        i += 2;
+      } else {
+        regex += ".*";
+        i += 1;
+      }
+    } else if (c == "*") {
+      regex += "[^/]*";
+    } else if (c == "?") {
+      regex += "[^/]";
+    } else {
+      regex += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${regex}$`, "i");
 }
 
 /**
@@ -83,23 +128,88 @@ function resolveInputPath(input, required = false) {
  * @returns the absolute path to the input path if specified
  */
 function resolveInputPaths(input, required = false, seperator = ';') {
-  const inputPaths = getInput(input);
-  if (!inputPaths) {
-    if (required) {
-      throw new Error(input + " input paths can not be empty.");
-    }
+  const inputPaths = splitList(getInput(input), seperator);
+  if (inputPaths.length == 0 && required) {
+    throw new Error(input + " input paths can not be empty.");
+  }
 
-    return [];
+  return inputPaths.map((inputPath) => resolvePath(inputPath));
+}
+
+/**
+ * Split a seperated list, ignoring whitespace around values and empty values.
+ * @param {string} list list of values, may be undefined
+ * @param {string|RegExp} seperator string or pattern seperating the values
+ * @returns list of trimmed values
+ */
+function splitList(list, seperator = ';') {
+  return (list || "").split(seperator)
+    .map((value) => value.trim())
+    .filter((value) => value);
+}
+
+/**
+ * Get the values of a ";" seperated list input.
+ * @param {string} input name of the input
+ * @returns list of trimmed values, empty if the input is not set
+ */
+function getListInput(input) {
+  return splitList(getInput(input));
+}
+
+/**
+ * Parse an optional boolean action input.
+ * @param {string} input name of GitHub action input variable
+ * @param {boolean} defaultValue value to use if the input is empty
+ * @returns the boolean value of the input
+ */
+function getOptionalBooleanInput(input, defaultValue = false) {
+  return getInput(input) ? getBooleanInput(input) : defaultValue;
+}
+
+/**
+ * Validate and parse an optional action input that must be an integer of at least the given minimum.
+ * @param {string} input name of GitHub action input variable
+ * @param {number} minimum smallest accepted value
+ * @param {string} description description of the accepted integers used in errors
+ * @returns the integer value of the input, undefined if the input is empty
+ */
+function getIntegerInput(input, minimum, description) {
+  const inputValue = getInput(input);
+  if (!inputValue) {
+    return undefined;
+  }
+
+  const value = Number(inputValue);
+  if (!Number.isInteger(value) || value < minimum) {
+    throw new Error(`${input} must be a ${description} integer.`);
   }
 
-  return inputPaths.split(seperator)
-    .map((inputPath) => resolvePath(inputPath))
-    .filter((inputPath) => inputPath);
+  return value;
+}
+
+/**
+ * Validate and parse an optional action input that must be a positive integer.
+ * @param {string} input name of GitHub action input variable
+ * @returns the integer value of the input, undefined if the input is empty
+ */
+function getPositiveIntegerInput(input) {
+  return getIntegerInput(input, 1, "positive");
+}
+
+/**
+ * Validate and parse an optional action input that must be zero or a positive integer.
+ * @param {string} input name of GitHub action input variable
+ * @returns the integer value of the input, undefined if the input is empty
+ */
+function getNonNegativeIntegerInput(input) {
+  return getIntegerInput(input, 0, "non-negative");
 }
 
 /**
  * Create a query file for the CMake API
  * @param {string} apiDir CMake API directory '.cmake/api/v1'
+ * @returns absolute path to the query file
  */
 async function createApiQuery(apiDir) {
   const queryDir = join(apiDir, "query", CMakeApiClientName);
@@ -108,17 +218,41 @@ async function createApiQuery(apiDir) {
   }
 
   const queryFile = join(queryDir, "query.json");
-  const queryData = {
-    "requests": [
-      { kind: "codemodel", version: 2 },
-      { kind: "toolchains", version: 1 }
-  ]};
+  const queryData = JSON.stringify({
+    "requests": CMakeApiRequests
+  });
+
+  // keep an unchanged query so replies generated for it are still seen as up-to-date
+  if (existsSync(queryFile) && readFileSync(queryFile, 'utf-8') == queryData) {
+    return queryFile;
+  }
 
   try {
-    writeFileSync(queryFile, JSON.stringify(queryData), 'utf-8');
+    writeFileSync(queryFile, queryData, 'utf-8');
   } catch (err) {
     throw new Error("Failed to write query.json file for CMake API.", err);
   }
+
+  return queryFile;
+}
+
+/**
+ * Compare two version strings such as '3.20.5' numerically.
+ * @param {string} version1 first version
+ * @param {string} version2 second version
+ * @returns negative if version1 is older, positive if it is newer and 0 if they are equal
+ */
+function compareVersions(version1, version2) {
+  const parts1 = version1.split(/[.-]/).map((part) => parseInt(part, 10) || 0);
+  const parts2 = version2.split(/[.-]/).map((part) => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
+    const difference = (parts1[i] || 0) - (parts2[i] || 0);
+    if (difference != 0) {
+      return difference;
+    }
+  }
+
+  return 0;
 }
 
 /**
@@ -152,24 +286,71 @@ function getResponseFilepath(replyDir, clientResponses, kind) {
   return response ? join(replyDir, response.jsonFile) : null;
 }
 
+/**
+ * Get the responses to the query of this action from the index reply, validating CMake replied with every
+ * requested object kind and major version.
+ * @param {object} indexReply parsed JSON data from index-xxx.json reply
+ * @returns list of responses for each requested object kind
+ */
+function getClientResponses(indexReply) {
+  const clientReply = indexReply.reply ? indexReply.reply[CMakeApiClientName] : undefined;
+  if (!clientReply || !clientReply["query.json"]) {
+    throw new Error("CMake did not reply to the query of this action. Ensure CMake version >= " +
+      `${MinimumCMakeVersion} was used to configure the build directory.`);
+  }
+
+  const queryReply = clientReply["query.json"];
+  if (queryReply.error) {
+    throw new Error(`CMake failed to read the query of this action: ${queryReply.error}`);
+  }
+
+  const responses = queryReply.responses || [];
+  for (const response of responses) {
+    if (response.error) {
+      throw new Error(`CMake failed to reply to the query of this action: ${response.error}`);
+    }
+  }
+
+  for (const request of CMakeApiRequests) {
+    const response = responses.find((response) => response.kind == request.kind);
+    if (!response) {
+      throw new Error(`CMake did not reply with the requested '${request.kind}' object.`);
+    } else if (!response.version || response.version.major != request.version) {
+      const version = response.version ? `${response.version.major}.${response.version.minor}` : "unknown";
+      throw new Error(`CMake replied with '${request.kind}' object version ${version}, expected major ` +
+        `version ${request.version}.`);
+    }
+  }
+
+  return responses;
+}
+
 /**
  * Information extracted from CMake API index reply which details all other requested responses.
  * @param {string} replyDir CMake API directory for replies '.cmake/api/v1/reply'
  * @param {object} indexReply parsed JSON data from index-xxx.json reply
  */
-function ReplyIndexInfo(replyDir, indexReply) {
-  const clientResponses = indexReply.reply[CMakeApiClientName]["query.json"].responses;
+function ReplyIndexInfo(replyDir, indexReply, indexFile) {
+  this.indexFile = indexFile;
+  // older versions of CMake may not reply to the query at all, so check the version first
+  this.version = indexReply.cmake.version.string;
+  if (compareVersions(this.version, MinimumCMakeVersion) < 0) {
+    throw new Error(`Action requires CMake version >= ${MinimumCMakeVersion}`);
+  }
+
+  const clientResponses = getClientResponses(indexReply);
   this.codemodelResponseFile = getResponseFilepath(replyDir, clientResponses, "codemodel");
   this.toolchainsResponseFile = getResponseFilepath(replyDir, clientResponses, "toolchains");
-  this.version = indexReply.cmake.version.string;
+  this.cmakeFilesResponseFile = getResponseFilepath(replyDir, clientResponses, "cmakeFiles");
 }
 
 /**
  * Load the information needed from the reply index file for the CMake API
  * @param {string} apiDir CMake API directory '.cmake/api/v1'
+ * @param {number} queryTime modification time of the query file in milliseconds, the reply must be newer
  * @returns ReplyIndexInfo info extracted from index-xxx.json reply
  */
-function getApiReplyIndex(apiDir) {
+function getApiReplyIndex(apiDir, queryTime = undefined) {
   const replyDir = join(apiDir, "reply");
 
   let indexFilepath;
@@ -187,49 +368,173 @@ function getApiReplyIndex(apiDir) {
 
   if (!indexFilepath) {
     throw new Error("Failed to find CMake API index reply file.");
+  } else if (queryTime != undefined && statSync(indexFilepath).mtimeMs < queryTime) {
+    throw new Error(`CMake API index reply file is older than the query: ${indexFilepath}. Ensure CMake ` +
+      `version >= ${MinimumCMakeVersion} is used and the build directory can be reconfigured.`);
   }
 
   const indexReply = parseReplyFile(indexFilepath);
-  const replyIndexInfo = new ReplyIndexInfo(replyDir, indexReply);
+  const replyIndexInfo = new ReplyIndexInfo(replyDir, indexReply, indexFilepath);
 
   info(`Loaded '${indexFilepath}' reply generated from CMake API.`);
 
   return replyIndexInfo;
 }
 
+/**
+ * Find a build system input of the project which changed after CMake generated the reply data. Inputs are the
+ * CMake files listed in the cmakeFiles reply, such as every CMakeLists.txt, along with CMakeCache.txt and the
+ * CMake presets files.
+ * @param {ReplyIndexInfo} replyIndexInfo info extracted from index-xxx.json reply
+ * @param {string} buildRoot build directory of CMake project
+ * @returns absolute path to the first changed input, undefined if the reply data is up-to-date
+ */
+function findChangedCMakeInput(replyIndexInfo, buildRoot) {
+  const replyTime = statSync(replyIndexInfo.indexFile).mtimeMs;
+  const cmakeFiles = parseReplyFile(replyIndexInfo.cmakeFilesResponseFile);
+  const sourceDir = cmakeFiles.paths.source;
+  const inputs = (cmakeFiles.inputs || []).map((input) => isAbsolute(input.path) ?
+    input.path : join(sourceDir, input.path));
+  inputs.push(join(buildRoot, "CMakeCache.txt"), join(sourceDir, "CMakePresets.json"),
+    join(sourceDir, "CMakeUserPresets.json"));
+  return inputs.find((input) => existsSync(input) && statSync(input).mtimeMs > replyTime);
+}
+
+// When CMake is run on an already configured build directory to generate reply data
+const ReconfigureModes = ["never", "auto", "always"];
+
+/**
+ * Options controlling how CMake is run to generate the CMake API reply data.
+ * @param {string} sourceDirectory absolute path to the CMake source directory
+ * @param {string} configurePreset name of the configure preset used to configure the project, if any
+ */
+function CMakeOptions(sourceDirectory = undefined, configurePreset = undefined) {
+  // CMake executable to run, found on the PATH if not set.
+  this.cmakePath = resolveInputPath("cmakePath");
+  // Reuse reply data newer than the query and every CMake input ('auto'), never run CMake ('never') or always
+  // rerun CMake ('always').
+  this.reconfigure = getInput("reconfigure") || "always";
+  if (!ReconfigureModes.includes(this.reconfigure)) {
+    throw new Error(`Unknown reconfigure mode '${this.reconfigure}', expected one of: ` +
+      `${ReconfigureModes.join(", ")}.`);
+  }
+
+  // Configure the project from the source directory instead of rerunning CMake on the build directory.
+  this.configureProject = getOptionalBooleanInput("configureProject");
+  this.sourceDirectory = sourceDirectory;
+  this.configurePreset = configurePreset;
+  this.generator = getInput("cmakeGenerator");
+  // one variable per line as CMake list values contain ";"
+  this.cacheVariables = splitList(getInput("cmakeCacheVariables"), /\r?\n/);
+  for (const cacheVariable of this.cacheVariables) {
+    if (!/^[^=]+=/.test(cacheVariable)) {
+      throw new Error(`Invalid CMake cache variable '${cacheVariable}', expected NAME=VALUE or NAME:TYPE=VALUE.`);
+    }
+  }
+
+  if (this.configureProject) {
+    if (this.reconfigure == "never") {
+      throw new Error("configureProject can not be used when reconfigure is 'never'.");
+    } else if (!this.sourceDirectory) {
+      throw new Error("configureProject requires cmakeSourceDirectory to be set.");
+    }
+  } else if (this.generator || this.cacheVariables.length > 0) {
+    warning("cmakeGenerator and cmakeCacheVariables are ignored unless configureProject is set.");
+  }
+}
+
+/**
+ * Get the command-line arguments to run CMake with to generate reply data.
+ * @param {string} buildRoot build directory of CMake project
+ * @param {CMakeOptions} cmakeOptions options for running CMake
+ * @returns list of arguments for CMake
+ */
+function getCMakeConfigureArgs(buildRoot, cmakeOptions) {
+  if (!cmakeOptions.configureProject) {
+    return [ buildRoot ];
+  }
+
+  const args = [ "-S", cmakeOptions.sourceDirectory, "-B", buildRoot ];
+  if (cmakeOptions.configurePreset) {
+    args.push(`--preset=${cmakeOptions.configurePreset}`);
+  }
+
+  if (cmakeOptions.generator) {
+    args.push("-G", cmakeOptions.generator);
+  }
+
+  return args.concat(cmakeOptions.cacheVariables.map((cacheVariable) => `-D${cacheVariable}`));
+}
+
 /**
    * Load reply data from the CMake API. This will:
    *  - Create a query file in cmake API directory requesting data needed
-   *  - Re-run CMake on build directory to generate reply data
+   *  - Reuse existing reply data if allowed and up-to-date with the query
+   *  - Otherwise re-run CMake on build directory, or configure the project, to generate reply data
    *  - Extract required information from the index-xxx.json reply
    *  - Validate the version of CMake to ensure required reply data exists
    * @param {string} buildRoot build directory of CMake project
+   * @param {CMakeOptions} cmakeOptions options for running CMake
    * @return ReplyIndexInfo info extracted from index-xxx.json reply
    */
-async function loadCMakeApiReplies(buildRoot) {
-  if (isDirectoryEmpty(buildRoot)) {
+async function loadCMakeApiReplies(buildRoot, cmakeOptions = new CMakeOptions()) {
+  if (cmakeOptions.configureProject) {
+    await mkdirP(buildRoot);
+  } else if (isDirectoryEmpty(buildRoot)) {
     throw new Error("CMake build root must exist, be non-empty and be configured with CMake");
   }
 
-  // validate CMake can be found on the PATH
-  await which("cmake", true);
+  // validate CMake can be found
+  let cmake = "cmake";
+  if (cmakeOptions.cmakePath) {
+    if (!existsSync(cmakeOptions.cmakePath)) {
+      throw new Error(`cmakePath does not exist: ${cmakeOptions.cmakePath}`);
+    }
+
+    cmake = cmakeOptions.cmakePath;
+  } else if (cmakeOptions.reconfigure != "never") {
+    await which("cmake", true);
+  }
 
   // create CMake API query file for the generation of replies needed
   const apiDir = join(buildRoot, ".cmake/api/v1");
-  await createApiQuery(apiDir);
+  const queryFile = await createApiQuery(apiDir);
+  const queryTime = statSync(queryFile).mtimeMs;
 
-  // regenerate CMake build directory to acquire CMake file API reply
-  info(`Running CMake to generate reply data.`);
-  try {
-    await _exec("cmake", [ buildRoot ])
-  } catch (err) {
-    throw new Error(`CMake failed to reconfigure project with error: ${err}`);
+  let replyIndexInfo;
+  if (cmakeOptions.reconfigure == "never") {
+    // replies from any earlier run of CMake which saw the query are used as-is
+    replyIndexInfo = getApiReplyIndex(apiDir);
+    info("Using existing CMake API reply data.");
+  } else if (cmakeOptions.reconfigure == "auto") {
+    try {
+      replyIndexInfo = getApiReplyIndex(apiDir, queryTime);
+      const changedInput = findChangedCMakeInput(replyIndexInfo, buildRoot);
+      if (changedInput) {
+        info(`CMake input changed since reply data was generated: ${changedInput}`);
+        replyIndexInfo = undefined;
+      } else {
+        info("Using up-to-date CMake API reply data.");
+      }
+    } catch (err) {
+      debug(`Existing CMake API reply data can not be used: ${err.message}`);
+    }
   }
 
-  // load reply index generated from the CMake Api
-  const replyIndexInfo = getApiReplyIndex(apiDir);
-  if (replyIndexInfo.version < "3.20.5") {
-    throw new Error("Action requires CMake version >= 3.20.5");
+  if (!replyIndexInfo) {
+    // regenerate CMake build directory to acquire CMake file API reply
+    info(`Running CMake to generate reply data.`);
+    // an unchanged query keeps its old time, so touch it to only accept replies generated by this run
+    const runTime = new Date();
+    utimesSync(queryFile, runTime, runTime);
+    try {
+      await _exec(cmake, getCMakeConfigureArgs(buildRoot, cmakeOptions));
+    } catch (err) {
+      throw new Error(`CMake failed to reconfigure project with error: ${err}`);
+    }
+
+    // load reply index generated from the CMake Api
+    replyIndexInfo = getApiReplyIndex(apiDir, statSync(queryFile).mtimeMs);
   }
 
   return replyIndexInfo;
@@ -256,23 +561,52 @@ function ToolchainInfo(toolchain) {
   this.includes = (toolchain.compiler.implicit.includeDirectories || []).map(
     (include) => new IncludePath(include, true));
 
-  // extract toolset-version & host/target arch from folder layout in VS
-  this.toolsetVersion = basename(getRelativeTo(this.path, RelativeToolsetPath));
+  // extract toolset-version & host/target arch from the '<toolset>/bin/Host<arch>/<arch>' folder layout
   const targetDir = dirname(this.path);
-  const hostDir = dirname(targetDir);
-  this.targetArch = basename(targetDir);
-  debug(`Host dir ${basename(hostDir)}`);
+  this.hostDirectory = dirname(targetDir);
+  this.toolsetDirectory = dirname(dirname(this.hostDirectory));
+  this.toolsetVersion = basename(this.toolsetDirectory);
+  this.targetArch = basename(targetDir).toLowerCase();
+  this.hostArch = MsvcHostArchitectures[basename(this.hostDirectory).toLowerCase()];
+  debug(`Host dir ${basename(this.hostDirectory)}`);
   debug(`Target Arch ${this.targetArch}`);
-  switch (basename(hostDir)) {
-    case 'Hostx86':
-      this.hostArch = 'x86';
-      break;
-    case 'Hostx64':
-      this.hostArch = 'x64';
-      break;
-    default:
-      throw new Error('Unknown MSVC toolset layout');
+  if (!this.hostArch || !MsvcTargetArchitectures.includes(this.targetArch)) {
+    throw new Error(`Unknown MSVC toolset layout: ${this.path}`);
+  }
+
+  // Visual Studio or Build Tools installation containing the toolset, undefined if not found
+  this.installationPath = undefined;
+}
+
+/**
+ * Find the Visual Studio or Build Tools installation containing the given toolset. Installations are listed
+ * using vswhere.exe, falling back to the 'VC/Tools/MSVC/<version>' layout of the toolset in an installation.
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ * @returns absolute path to the installation directory, undefined if the toolset is not in an installation
+ */
+async function findVisualStudioInstallation(toolchain) {
+  const toolsetDirectory = normalize(toolchain.toolsetDirectory);
+  const vswherePath = join(process.env["ProgramFiles(x86)"] || "C:\\Program Files (x86)",
+    "Microsoft Visual Studio", "Installer", "vswhere.exe");
+  if (existsSync(vswherePath)) {
+    const execOptions = { silent: true, ignoreReturnCode: true };
+    const execOutput = await getExecOutput(vswherePath,
+      ["-all", "-prerelease", "-products", "*", "-format", "json", "-utf8"], execOptions);
+    try {
+      const installations = execOutput.exitCode == 0 ? JSON.parse(execOutput.stdout) : [];
+      const installation = installations.find((installation) => installation.installationPath &&
+        containsSubdirectory([installation.installationPath.toLowerCase()], toolsetDirectory.toLowerCase()));
+      if (installation) {
+        debug(`Found toolset in installation: ${installation.installationPath}`);
+        return normalize(installation.installationPath);
+      }
+    } catch (err) {
+      debug(`Failed to parse installations listed by vswhere.exe: ${err}`);
+    }
   }
+
+  const match = toolsetDirectory.match(/^(.*)[\\/]VC[\\/]Tools[\\/]MSVC[\\/][^\\/]+$/i);
+  return match ? match[1] : undefined;
 }
 
 /**
@@ -308,14 +642,55 @@ function loadToolchainMap(replyIndexInfo) {
   return toolchainMap;
 }
 
+/**
+ * Select the configurations of the codemodel to analyze.
+ * @param {object[]} configurations configurations of the CMake codemodel
+ * @param {string} buildConfiguration ";" seperated list of configuration names, or "*" for all
+ * @returns codemodel configurations to analyze
+ */
+function selectConfigurations(configurations, buildConfiguration) {
+  const names = splitList(buildConfiguration);
+  if (names.includes("*")) {
+    return configurations;
+  }
+
+  if (configurations.length > 1) {
+    if (names.length == 0) {
+      throw new Error("buildConfiguration is required for multi-config CMake Generators.");
+    }
+
+    const unknownNames = names.filter((name) => !configurations.some((config) => config.name == name));
+    if (unknownNames.length > 0) {
+      throw new Error("buildConfiguration does not match any available in CMake project. Unknown " +
+        `configurations: ${unknownNames.join(", ")}`);
+    }
+
+    return configurations.filter((config) => names.includes(config.name));
+  } else if (names.some((name) => name != configurations[0].name)) {
+    throw new Error(`buildConfiguration does not match '${configurations[0].name}' configuration used by CMake.`);
+  }
+
+  return configurations;
+}
+
 /**
  * Information on each compilation unit extracted from the CMake targets.
  * @param {object} group compilation data shared between one or more source files
  * @param {string} source absolute path to source file being compiled
+ * @param {string} target name of the CMake target the source file belongs to
+ * @param {string} configuration name of the build configuration the command is used in
  */
-function CompileCommand(group, source) {
+function CompileCommand(group, source, target, configuration = undefined) {
   // Filepath to source file being compiled
   this.source = source;
+  // CMake target containing the source file
+  this.target = target;
+  // Build configurations producing this command, empty if unknown
+  this.configurations = configuration ? [configuration] : [];
+  // Source file is generated during the build, as reported by CMake
+  this.isGenerated = false;
+  // Working directory the compiler must be run from, the CMake build directory if undefined
+  this.directory = undefined;
   // Compiler language used
   this.language = group.language;
   // C++ Standard
@@ -327,15 +702,21 @@ function CompileCommand(group, source) {
     new IncludePath(inc.path, inc.isSystem || false));
   // defines
   this.defines = (group.defines || []).map((d) => d.define);
+  // headers added to the precompiled header of the target through target_precompile_headers
+  this.precompileHeaders = (group.precompileHeaders || []).map((pch) => pch.header);
 }
 
 /**
  * Parse the codemodel-xxx.json and each target-xxx.json to find information on required to compile
  * each source file in the project.
  * @param {ReplyIndexInfo} replyIndexInfo ReplyIndexInfo info extracted from index-xxx.json reply
+ * @param {string} buildConfiguration ";" seperated list of configurations to analyze, or "*" for all
+ * @param {string[]} excludedTargetPaths directories whose targets are not analyzed
+ * @param {TargetFilter} targetFilter filter selecting targets to analyze by name and type
  * @returns CompileCommand information for each compiled source file in the project
  */
-function loadCompileCommands(replyIndexInfo, buildConfiguration, excludedTargetPaths) {
+function loadCompileCommands(replyIndexInfo, buildConfiguration, excludedTargetPaths,
+    targetFilter = new TargetFilter()) {
   if (!existsSync(replyIndexInfo.codemodelResponseFile)) {
     throw new Error("Failed to load codemodel response from CMake API");
   }
@@ -344,370 +725,3372 @@ function loadCompileCommands(replyIndexInfo, buildConfiguration, excludedTargetP
   const codemodel = parseReplyFile(replyIndexInfo.codemodelResponseFile);
   const sourceRoot = codemodel.paths.source;
   const replyDir = dirname(replyIndexInfo.codemodelResponseFile);
-  let configurations = codemodel.configurations;
+  const configurations = selectConfigurations(codemodel.configurations, buildConfiguration);
   if (configurations.length > 1) {
-    if (!buildConfiguration) {
-      throw new Error("buildConfiguration is required for multi-config CMake Generators.");
-    }
-
-    configurations = configurations.filter((config) => buildConfiguration == config.name);
-    if (configurations.length == 0) {
-      throw new Error("buildConfiguration does not match any available in CMake project.");
-    }
-  } else if (buildConfiguration && configurations[0].name != buildConfiguration) {
-    throw new Error(`buildConfiguration does not match '${configurations[0].name}' configuration used by CMake.`);
+    info(`Analyzing build configurations: ${configurations.map((config) => config.name).join(", ")}`);
   }
 
-  const codemodelInfo = configurations[0];
-  for (const targetInfo of codemodelInfo.targets) {
-    const targetDir = join(sourceRoot, codemodelInfo.directories[targetInfo.directoryIndex].source);
-    if (containsSubdirectory(excludedTargetPaths, targetDir)) {
-      continue;
-    }
+  // identical commands used by several configurations are only analyzed once
+  const commandMap = new Map();
+  const analyzedTargets = new Set();
+  const skippedTargets = new Map();
+  for (const codemodelInfo of configurations) {
+    for (const targetInfo of codemodelInfo.targets) {
+      const targetDir = join(sourceRoot, codemodelInfo.directories[targetInfo.directoryIndex].source);
+      if (containsSubdirectory(excludedTargetPaths, targetDir)) {
+        skippedTargets.set(targetInfo.name, "in ignoredTargetPaths");
+        continue;
+      }
+
+      const target = parseReplyFile(join(replyDir, targetInfo.jsonFile));
+      const targetName = target.name || targetInfo.name;
+      const skipReason = targetFilter.getSkipReason(Object.assign({}, target, { name: targetName }));
+      if (skipReason) {
+        skippedTargets.set(targetName, skipReason);
+        continue;
+      }
+
+      analyzedTargets.add(targetName);
+      for (const group of target.compileGroups || []) {
+        for (const sourceIndex of group.sourceIndexes) {
+          const source = join(sourceRoot, target.sources[sourceIndex].path);
+          const command = new CompileCommand(group, source, targetName, codemodelInfo.name);
+          command.isGenerated = target.sources[sourceIndex].isGenerated || false;
+          const commandKey = JSON.stringify([getPathKey(source), command.target, command.language,
+            command.standard, command.args, command.includes, command.defines]);
+          if (commandMap.has(commandKey)) {
+            commandMap.get(commandKey).configurations.push(codemodelInfo.name);
+            continue;
+          }
 
-    const target = parseReplyFile(join(replyDir, targetInfo.jsonFile));
-    for (const group of target.compileGroups || []) {
-      for (const sourceIndex of group.sourceIndexes) {
-        const source = join(sourceRoot, target.sources[sourceIndex].path);
-        compileCommands.push(new CompileCommand(group, source));
+          commandMap.set(commandKey, command);
+          compileCommands.push(command);
+        }
       }
     }
   }
 
+  const analyzedNames = [...analyzedTargets].filter((name) => name);
+  if (analyzedNames.length > 0) {
+    info(`Analyzing ${analyzedNames.length} target(s): ${analyzedNames.join(", ")}`);
+  }
+
+  // targets skipped in one configuration may still be analyzed in another
+  const skippedNames = [...skippedTargets.keys()].filter((name) => name && !analyzedTargets.has(name));
+  if (skippedNames.length > 0) {
+    info(`Skipped ${skippedNames.length} target(s): ` +
+      skippedNames.map((name) => `${name} (${skippedTargets.get(name)})`).join(", "));
+  }
+
   return compileCommands;
 }
 
 /**
- * Find path to  EspXEngine.dll as it only exists in host/target bin for MSVC Visual Studio release.
- * @param {ToolchainInfo} toolchain information on the toolchain being used
- * @returns absolute path to EspXEngine.dll
+ * Entry of a JSON compilation database split into the compiler and its arguments.
+ * @param {object} entry parsed JSON object for a single entry of compile_commands.json
  */
-function findEspXEngine(toolchain) {
-  const hostDir = dirname(dirname(toolchain.path));
-  const espXEnginePath = join(hostDir, toolchain.hostArch, 'EspXEngine.dll');
-  if (existsSync(espXEnginePath)) {
-    return espXEnginePath;
+function CompilationDatabaseEntry(entry) {
+  if (!entry.directory || !entry.file || (!entry.arguments && !entry.command)) {
+    throw new Error("Invalid compile_commands.json entry, requires 'directory', 'file' and either " +
+      `'arguments' or 'command': ${JSON.stringify(entry)}`);
   }
 
-  throw new Error(`Unable to find: ${espXEnginePath}`);
+  const args = entry.arguments ? entry.arguments.slice() : argStringToArray(entry.command);
+  // Working directory all relative paths are relative to
+  this.directory = normalize(entry.directory);
+  // Filepath to source file being compiled
+  this.source = resolve(this.directory, entry.file);
+  // Compiler as written in the entry, either a path or a name found on the PATH
+  this.compiler = args.shift();
+  // Remaining compiler arguments with any '@file' response files expanded
+  this.args = expandResponseFiles(args, this.directory);
 }
 
 /**
- * Find official ruleset directory using the known path of MSVC compiler in Visual Studio.
- * @param {ToolchainInfo} toolchain information on the toolchain being used
- * @returns absolute path to directory containing all Visual Studio rulesets
+ * Replace each '@file' argument with the arguments read from the response file, as done by cl.exe.
+ * @param {string[]} args compiler arguments
+ * @param {string} directory directory relative response file paths are resolved from
+ * @param {string[]} parentFiles response files being expanded, used to detect cycles
+ * @returns compiler arguments without response files
  */
-function findRulesetDirectory(toolchain) {
-  const rulesetDirectory = getRelativeTo(toolchain.path, RelativeRulesetPath);
-  return existsSync(rulesetDirectory) ? rulesetDirectory : undefined;
+function expandResponseFiles(args, directory, parentFiles = []) {
+  const expanded = [];
+  for (const arg of args) {
+    if (!arg.startsWith("@")) {
+      expanded.push(arg);
+      continue;
+    }
+
+    const responseFile = resolve(directory, arg.substring(1));
+    if (parentFiles.includes(responseFile)) {
+      throw new Error(`Response file includes itself: ${responseFile}`);
+    }
+
+    let contents;
+    try {
+      contents = readFileSync(responseFile, "utf8");
+    } catch (err) {
+      throw new Error(`Failed to read response file '${responseFile}': ${err}`);
+    }
+
+    // response files may put each argument on its own line and start with a byte order mark
+    const fileArgs = argStringToArray(contents.replace(/^\uFEFF/, "").replace(/\s/g, " "));
+    expanded.push(...expandResponseFiles(fileArgs, directory, parentFiles.concat([responseFile])));
+  }
+
+  return expanded;
 }
 
 /**
- * Find ruleset first searching relative to GitHub repository and then relative to the official ruleset directory
- * shipped in Visual Studio.
- * @param {string} rulesetDirectory path to directory containing all Visual Studio rulesets
- * @returns path to ruleset found locally or inside Visual Studio
+ * Read and parse a JSON compilation database such as the compile_commands.json generated by CMake,
+ * Ninja or Bazel.
+ * @param {string} compileCommandsPath absolute path to compile_commands.json
+ * @returns CompilationDatabaseEntry for each entry that uses the MSVC compiler
  */
-function findRuleset(rulesetDirectory) {
-  const repoRulesetPath = resolveInputPath("ruleset");
-  if (!repoRulesetPath) {
-    return undefined;
-  } else if (existsSync(repoRulesetPath)) {
-    info(`Found local ruleset: ${repoRulesetPath}`);
-    return repoRulesetPath;
+function loadCompilationDatabase(compileCommandsPath) {
+  if (!existsSync(compileCommandsPath)) {
+    throw new Error("Failed to find compilation database: " + compileCommandsPath);
   }
 
-  // search official ruleset directory that ships inside of Visual Studio
-  const rulesetPath = getInput("ruleset");
-  if (rulesetDirectory != undefined) {
-    const officialRulesetPath = join(rulesetDirectory, rulesetPath);
-    if (existsSync(officialRulesetPath)) {
-      info(`Found official ruleset: ${officialRulesetPath}`);
-      return officialRulesetPath;
-    }
-  } else {
-    warning("Unable to find official rulesets shipped with Visual Studio.");
+  let entries;
+  try {
+    entries = JSON.parse(readFileSync(compileCommandsPath));
+  } catch (err) {
+    throw new Error(`Failed to parse compilation database '${compileCommandsPath}': ${err}`);
   }
 
-  throw new Error(`Unable to find local or official ruleset specified: ${rulesetPath}`);
+  if (!Array.isArray(entries)) {
+    throw new Error(`Compilation database must contain a JSON array: ${compileCommandsPath}`);
+  }
+
+  return entries
+    .map((entry) => new CompilationDatabaseEntry(entry))
+    .filter((entry) => {
+      const compilerName = basename(entry.compiler.replace(/\\/g, "/")).toLowerCase();
+      if (compilerName != "cl" && compilerName != "cl.exe") {
+        debug(`Skipping source compiled with non-MSVC compiler '${entry.compiler}': ${entry.source}`);
+        return false;
+      }
+
+      return true;
+    });
 }
 
 /**
- * Options to enable/disable different compiler features.
+ * Get the language used to compile an entry from the compilation database, using the same
+ * rules as cl.exe: /TC and /TP take precedence over the source file extension.
+ * @param {CompilationDatabaseEntry} entry entry of the compilation database
+ * @returns 'C' or 'CXX'
  */
-function CompilerCommandOptions() {
-  // Build configuration to use when using a multi-config CMake generator.
-  this.buildConfiguration = getInput("buildConfiguration");
-  // Use /external command line options to ignore warnings in CMake SYSTEM headers.
-  this.ignoreSystemHeaders = getInput("ignoreSystemHeaders");
-  // Toggle whether implicit includes/libs are loaded from Visual Studio Command Prompt
-  this.loadImplicitCompilerEnv = getInput("loadImplicitCompilerEnv");
-  // Ignore analysis on any CMake targets or includes.
-  this.ignoredPaths = resolveInputPaths("ignoredPaths");
-  this.ignoredTargetPaths = this.ignoredPaths || [];
-  this.ignoredTargetPaths = this.ignoredTargetPaths.concat(resolveInputPaths("ignoredTargetPaths"));
-  this.ignoredIncludePaths = this.ignoredPaths || [];
-  this.ignoredIncludePaths = this.ignoredIncludePaths.concat(resolveInputPaths("ignoredIncludePaths"));
-  // Additional arguments to add the command-line of every analysis instance
-  this.additionalArgs = getInput("additionalArgs");
-  // TODO: add support to build precompiled headers before running analysis.
-  this.usePrecompiledHeaders = false; // core.getInput("usePrecompiledHeaders");
+function getCompilationDatabaseLanguage(entry) {
+  for (const arg of entry.args.slice().reverse()) {
+    if (/^[/-](TC|Tc)/.test(arg)) {
+      return "C";
+    } else if (/^[/-](TP|Tp)/.test(arg)) {
+      return "CXX";
+    }
+  }
+
+  return extname(entry.source).toLowerCase() == ".c" ? "C" : "CXX";
 }
 
 /**
- * Construct all command-line arguments that will be common among all sources files of a given compiler.
- * @param {*} toolchain information on the toolchain being used
- * @param {CompilerCommandOptions} options options for different compiler features
- * @returns list of analyze arguments common to the given toolchain
+ * Find the MSVC toolchains used by the entries of a compilation database. If none are found
+ * issue an error.
+ * @param {CompilationDatabaseEntry[]} entries MSVC entries of the compilation database
+ * @returns Toolchain info for each language used in the compilation database
  */
-function getCommonAnalyzeArguments(toolchain, options) {
-  const args = ["/analyze:only", "/analyze:quiet", "/analyze:log:format:sarif", "/nologo"];
-
-  const espXEngine = findEspXEngine(toolchain);
-  args.push(`/analyze:plugin${espXEngine}`);
-
-  const rulesetDirectory = findRulesetDirectory(toolchain);
-  const rulesetPath = findRuleset(rulesetDirectory);
-  if (rulesetPath != undefined) {
-    args.push(`/analyze:ruleset${rulesetPath}`);
-
-    // add ruleset directories incase user includes any official rulesets
-    if (rulesetDirectory != undefined) {
-      args.push(`/analyze:rulesetdirectory${rulesetDirectory}`);
+async function loadCompilationDatabaseToolchainMap(entries) {
+  const toolchainMap = {};
+  const compilerPaths = {};
+  for (const entry of entries) {
+    const language = getCompilationDatabaseLanguage(entry);
+    if (!(entry.compiler in compilerPaths)) {
+      compilerPaths[entry.compiler] = isAbsolute(entry.compiler) ?
+        normalize(entry.compiler) : await which(entry.compiler, true);
     }
-  } else {
-    warning('Ruleset is not being used, all warnings will be enabled.');
-  }
 
-  if (options.ignoreSystemHeaders) {
-    args.push(`/external:W0`);
-    args.push(`/analyze:external-`);
+    const compilerPath = compilerPaths[entry.compiler];
+    if (!(language in toolchainMap)) {
+      toolchainMap[language] = new ToolchainInfo({
+        language: language,
+        compiler: { path: compilerPath, implicit: {} }
+      });
+    } else if (normalize(toolchainMap[language].path).toLowerCase() != normalize(compilerPath).toLowerCase()) {
+      throw new Error(`Compilation database uses multiple MSVC compilers for ${language}: ` +
+        `'${toolchainMap[language].path}' and '${compilerPath}'`);
+    }
   }
 
-  if (options.additionalArgs) {
-    args = args.concat(argStringToArray(options.additionalArgs));
+  if (Object.keys(toolchainMap).length === 0) {
+    throw new Error("Action requires use of MSVC for either/both C or C++.");
   }
 
-  return args;
+  return toolchainMap;
 }
 
+// cl.exe options of the compilation database whose value is extracted, longest names first
+const CompilerValueOptions = ["external:I", "Tp", "Tc", "I", "D"];
+
 /**
- * Extract the the implicit includes that should be used with the given compiler from the
- * Visual Studio command prompt corresponding with the toolchain used. This is required
- * as MSVC does not populate the CMake API `toolchain.implicit.includeDirectories` property.
- * @param {ToolchainInfo} toolchain information on the toolchain being used
- * @returns array of default includes used by the given MSVC toolset
+ * Convert each entry of a compilation database into the same information extracted from CMake
+ * targets. Includes and defines are extracted from the arguments so they can be filtered in the
+ * same way as CMake projects.
+ * @param {CompilationDatabaseEntry[]} entries MSVC entries of the compilation database
+ * @param {string[]} excludedSourcePaths any sources inside these directories are excluded
+ * @returns CompileCommand information for each compiled source file in the compilation database
  */
-async function extractEnvironmentFromCommandPrompt(toolchain) {
-  // use bat file to output environment variable required after running 'vcvarsall.bat' 
-  const vcEnvScript = join(__dirname, "vc_env.bat");
-  // init arguments for 'vcvarsall.bat' to match the toolset version/arch used
-  const commandPromptPath = getRelativeTo(toolchain.path, RelativeCommandPromptPath);
-  const arch = (toolchain.hostArch == toolchain.targetArch) ? 
-    toolchain.hostArch : `${toolchain.hostArch}_${toolchain.targetArch}`;
+function loadCompilationDatabaseCommands(entries, excludedSourcePaths) {
+  const compileCommands = [];
+  for (const entry of entries) {
+    if (containsSubdirectory(excludedSourcePaths, dirname(entry.source))) {
+      continue;
+    }
 
-  info("Extracting environment from VS Command Prompt");
-  const execOptions = { silent: true };
-  const execOutput = await getExecOutput(vcEnvScript,
+    const group = {
+      language: getCompilationDatabaseLanguage(entry),
+      compileCommandFragments: [],
+      includes: [],
+      defines: []
+    };
+
+    const isSource = (path) => resolve(entry.directory, path).toLowerCase() == entry.source.toLowerCase();
+    for (let i = 0; i < entry.args.length; ++i) {
+      const arg = entry.args[i];
+      if (isSource(arg)) {
+        // source file is added back when creating the analysis command
+        continue;
+      }
+
+      const option = arg.length > 1 && (arg[0] == "/" || arg[0] == "-") ? arg.substring(1) : undefined;
+      if (option == "link") {
+        // remaining arguments are passed to the linker
+        break;
+      }
+
+      // options with a value either attached ('/Ifoo') or given in the next argument ('/I foo')
+      const valueOption = option && CompilerValueOptions.find((name) => option.startsWith(name));
+      let value;
+      if (valueOption) {
+        value = option.length > valueOption.length ? option.substring(valueOption.length) : entry.args[++i];
+        if (value == undefined) {
+          throw new Error(`Missing value for '${arg}' in compilation database entry: ${entry.source}`);
+        }
+      }
+
+      if (option == undefined) {
+        group.compileCommandFragments.push({ fragment: quoteArg(arg) });
+      } else if (valueOption == "external:I") {
+        group.includes.push({ path: resolve(entry.directory, value), isSystem: true });
+      } else if (valueOption == "I") {
+        group.includes.push({ path: resolve(entry.directory, value) });
+      } else if (valueOption == "D") {
+        group.defines.push({ define: value });
+      } else if (valueOption == "Tp" || valueOption == "Tc") {
+        if (!isSource(value)) {
+          throw new Error(`Compilation database entry compiles multiple sources ('${value}'): ${entry.source}`);
+        }
+        // the source is added back as a plain path so keep the language it is compiled as
+        group.compileCommandFragments.push({ fragment: valueOption == "Tp" ? "/TP" : "/TC" });
+      } else if (option == "c" || /^(Fo|Fd|Fe|Fa)/.test(option)) {
+        // output options are not needed when running analysis
+        continue;
+      } else {
+        group.compileCommandFragments.push({ fragment: quoteArg(arg) });
+      }
+    }
+
+    const compileCommand = new CompileCommand(group, entry.source, undefined);
+    compileCommand.directory = entry.directory;
+    compileCommands.push(compileCommand);
+  }
+
+  return compileCommands;
+}
+
+/**
+ * Quote an argument containing spaces so it is preserved when combined into a single string.
+ * @param {string} arg compiler argument
+ * @returns argument that can be safely joined with spaces
+ */
+function quoteArg(arg) {
+  return arg.includes(" ") ? `"${arg}"` : arg;
+}
+
+/**
+ * Find path to  EspXEngine.dll as it only exists in host/target bin for MSVC Visual Studio release.
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ * @param {CompilerCommandOptions} options options for different compiler features
+ * @returns absolute path to EspXEngine.dll
+ */
+function findEspXEngine(toolchain, options) {
+  if (options.espXEnginePath) {
+    if (!existsSync(options.espXEnginePath)) {
+      throw new Error(`espXEnginePath does not exist: ${options.espXEnginePath}`);
+    }
+
+    return options.espXEnginePath;
+  }
+
+  const espXEnginePath = join(toolchain.hostDirectory, toolchain.hostArch, 'EspXEngine.dll');
+  if (existsSync(espXEnginePath)) {
+    return espXEnginePath;
+  }
+
+  throw new Error(`Unable to find: ${espXEnginePath}`);
+}
+
+/**
+ * Find official ruleset directory in the Visual Studio installation containing the MSVC toolset.
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ * @param {CompilerCommandOptions} options options for different compiler features
+ * @returns absolute path to directory containing all Visual Studio rulesets
+ */
+function findRulesetDirectory(toolchain, options) {
+  if (options.rulesetDirectory) {
+    if (!existsSync(options.rulesetDirectory)) {
+      throw new Error(`rulesetDirectory does not exist: ${options.rulesetDirectory}`);
+    }
+
+    return options.rulesetDirectory;
+  } else if (!toolchain.installationPath) {
+    return undefined;
+  }
+
+  const rulesetDirectory = join(toolchain.installationPath, RelativeRulesetPath);
+  return existsSync(rulesetDirectory) ? rulesetDirectory : undefined;
+}
+
+/**
+ * Find vcvarsall.bat in the Visual Studio installation containing the MSVC toolset.
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ * @param {CompilerCommandOptions} options options for different compiler features
+ * @returns absolute path to vcvarsall.bat
+ */
+function findCommandPrompt(toolchain, options) {
+  if (options.vcvarsallPath) {
+    if (!existsSync(options.vcvarsallPath)) {
+      throw new Error(`vcvarsallPath does not exist: ${options.vcvarsallPath}`);
+    }
+
+    return options.vcvarsallPath;
+  }
+
+  const commandPromptPath = toolchain.installationPath ?
+    join(toolchain.installationPath, RelativeCommandPromptPath) : undefined;
+  if (commandPromptPath && existsSync(commandPromptPath)) {
+    return commandPromptPath;
+  }
+
+  throw new Error(`Unable to find vcvarsall.bat for MSVC toolset: ${toolchain.toolsetDirectory}. ` +
+    "Set vcvarsallPath for toolsets outside of a Visual Studio installation.");
+}
+
+/**
+ * Element of a parsed XML document.
+ * @param {string} name tag name of the element
+ * @param {[key: string]: string} attributes attribute values of the element
+ * @param {number} line line the element starts on
+ */
+function XmlElement(name, attributes, line) {
+  this.name = name;
+  this.attributes = attributes;
+  this.line = line;
+  this.children = [];
+}
+
+/**
+ * Parse the elements of an XML document such as a ruleset. Text content is ignored.
+ * @param {string} xml XML text to parse
+ * @param {string} filepath path to the file being parsed, used in error messages
+ * @returns root XmlElement of the document
+ */
+function parseXml(xml, filepath) {
+  const parser = saxParser(true, { position: true });
+  let root;
+  const openElements = [];
+  parser.onopentag = (node) => {
+    const element = new XmlElement(node.name, node.attributes, parser.line + 1);
+    if (openElements.length > 0) {
+      openElements[openElements.length - 1].children.push(element);
+    } else if (root) {
+      throw new Error(`Only one root element is allowed, found <${node.name}> after <${root.name}>.`);
+    } else {
+      root = element;
+    }
+
+    openElements.push(element);
+  };
+  parser.onclosetag = () => {
+    openElements.pop();
+  };
+  parser.onerror = (err) => {
+    throw err;
+  };
+
+  try {
+    parser.write(xml).close();
+  } catch (err) {
+    throw new Error(`${filepath}:${parser.line + 1}: ${err.message.split("\n")[0]}`);
+  }
+
+  if (!root) {
+    throw new Error(`${filepath}:1: Document has no root element.`);
+  }
+
+  return root;
+}
+
+// Actions of ruleset Rule elements, and of Include elements which can also keep the included actions
+const RuleActions = ["Error", "Warning", "Info", "Hidden", "None"];
+const IncludeActions = ["Default"].concat(RuleActions);
+// Rule actions which report warnings
+const EnabledRuleActions = ["Error", "Warning", "Info"];
+
+/**
+ * Rules enabled by a ruleset after following all of its includes.
+ * @param {string} rulesetPath absolute path to the ruleset
+ */
+function ResolvedRuleset(rulesetPath) {
+  this.path = rulesetPath;
+  // Absolute paths to the ruleset and every ruleset it includes
+  this.files = [rulesetPath];
+  // Action of each rule ID
+  this.rules = new Map();
+  // Action applied to all rules through IncludeAll, undefined if not used
+  this.includeAllAction = undefined;
+  // Temporary ruleset written from the enableRules and disableRules inputs, removed once analysis completes
+  this.isGenerated = false;
+  // Ruleset included by a generated ruleset, undefined if it includes none
+  this.baseRulesetPath = undefined;
+
+  /**
+   * Get the IDs of all rules which report warnings.
+   * @returns sorted list of rule IDs
+   */
+  this.getEnabledRules = function() {
+    return [...this.rules.keys()].filter((ruleId) => EnabledRuleActions.includes(this.rules.get(ruleId))).sort();
+  };
+}
+
+/**
+ * Parse a ruleset and every ruleset it includes to find the action of each rule. Included rulesets are
+ * searched relative to the including ruleset and then in the official ruleset directory.
+ * @param {string} rulesetPath absolute path to the ruleset
+ * @param {string} rulesetDirectory path to directory containing all Visual Studio rulesets, if found
+ * @param {string[]} includeChain rulesets including this ruleset, used to detect cycles
+ * @returns ResolvedRuleset with the action of each rule
+ */
+function resolveRuleset(rulesetPath, rulesetDirectory, includeChain = []) {
+  if (includeChain.some((includer) => getPathKey(includer) == getPathKey(rulesetPath))) {
+    throw new Error(`Ruleset includes itself: ${includeChain.concat([rulesetPath]).join(" -> ")}`);
+  }
+
+  const root = parseXml(readFileSync(rulesetPath, 'utf-8'), rulesetPath);
+  const fail = (element, message) => {
+    throw new Error(`${rulesetPath}:${element.line}: ${message}`);
+  };
+  if (root.name != "RuleSet") {
+    fail(root, `Expected root element <RuleSet> but found <${root.name}>.`);
+  }
+
+  const resolved = new ResolvedRuleset(rulesetPath);
+  const rules = [];
+  for (const element of root.children) {
+    const action = element.attributes.Action;
+    switch (element.name) {
+      case "Include": {
+        if (!element.attributes.Path) {
+          fail(element, "<Include> requires a 'Path' attribute.");
+        } else if (!IncludeActions.includes(action)) {
+          fail(element, `Unknown Include action '${action}', expected one of: ${IncludeActions.join(", ")}.`);
+        }
+
+        const includePath = [dirname(rulesetPath), rulesetDirectory]
+          .filter((directory) => directory)
+          .map((directory) => resolve(directory, element.attributes.Path))
+          .find((candidate) => existsSync(candidate));
+        if (!includePath) {
+          fail(element, `Unable to find included ruleset '${element.attributes.Path}'.`);
+        }
+
+        const included = resolveRuleset(includePath, rulesetDirectory, includeChain.concat([rulesetPath]));
+        resolved.files.push(...included.files);
+        for (const [ruleId, ruleAction] of included.rules) {
+          resolved.rules.set(ruleId, action == "Default" ? ruleAction : action);
+        }
+
+        if (included.includeAllAction) {
+          resolved.includeAllAction = action == "Default" ? included.includeAllAction : action;
+        }
+
+        break;
+      }
+      case "IncludeAll":
+        if (!RuleActions.includes(action)) {
+          fail(element, `Unknown IncludeAll action '${action}', expected one of: ${RuleActions.join(", ")}.`);
+        }
+
+        resolved.includeAllAction = action;
+        break;
+      case "Rules":
+        for (const rule of element.children) {
+          if (rule.name != "Rule") {
+            // cl.exe rejects the ruleset when analyzing every source, so fail once with the location
+            fail(rule, `Unknown element <${rule.name}> in <Rules>, expected <Rule>.`);
+          } else if (!rule.attributes.Id) {
+            fail(rule, "<Rule> requires an 'Id' attribute.");
+          } else if (!RuleActions.includes(rule.attributes.Action)) {
+            fail(rule, `Unknown Rule action '${rule.attributes.Action}', expected one of: ` +
+              `${RuleActions.join(", ")}.`);
+          }
+
+          rules.push(rule);
+        }
+
+        break;
+      case "Name":
+      case "Description":
+      case "Localization":
+      case "RuleHintPaths":
+        break;
+      default:
+        fail(element, `Unknown element <${element.name}> in <RuleSet>.`);
+    }
+  }
+
+  // rules listed directly in the ruleset take precedence over included rulesets
+  for (const rule of rules) {
+    resolved.rules.set(getRuleIdKey(rule.attributes.Id), rule.attributes.Action);
+  }
+
+  return resolved;
+}
+
+/**
+ * Write the rules enabled by each ruleset used for analysis as a JSON file.
+ * @param {string} rulesPath absolute path to the JSON file to write
+ * @param {ResolvedRuleset[]} rulesets rulesets passed to the compiler
+ * @returns true if any ruleset is used and the file was written
+ */
+function writeEnabledRules(rulesPath, rulesets) {
+  if (rulesets.length == 0) {
+    return false;
+  }
+
+  const rulesetInfo = rulesets.map((resolved) => {
+    return {
+      "ruleset": resolved.path,
+      "includeAllAction": resolved.includeAllAction || null,
+      "enabledRules": resolved.getEnabledRules()
+    };
+  });
+
+  try {
+    writeFileSync(rulesPath, JSON.stringify(rulesetInfo, null, 2), 'utf-8');
+  } catch (err) {
+    throw new Error(`Failed to write enabled rules file: ${err}`);
+  }
+
+  return true;
+}
+
+/**
+ * Resolve the ruleset passed to the compiler, and every ruleset it includes, so errors are reported before
+ * analysis. Each ruleset is only resolved once.
+ * @param {string} rulesetPath absolute path to the ruleset
+ * @param {string} rulesetDirectory path to directory containing all Visual Studio rulesets, if found
+ * @param {Map<string, ResolvedRuleset>} resolvedRulesets rulesets already resolved, by path
+ * @returns ResolvedRuleset with the action of each rule
+ */
+function validateRuleset(rulesetPath, rulesetDirectory, resolvedRulesets) {
+  const key = getPathKey(rulesetPath);
+  if (resolvedRulesets.has(key)) {
+    return resolvedRulesets.get(key);
+  }
+
+  const resolved = resolveRuleset(rulesetPath, rulesetDirectory);
+  const allRules = resolved.includeAllAction && EnabledRuleActions.includes(resolved.includeAllAction) ?
+    "all rules, " : "";
+  info(`Ruleset enables ${allRules}${resolved.getEnabledRules().length} listed rule(s).`);
+  resolvedRulesets.set(key, resolved);
+  return resolved;
+}
+
+/**
+ * Find ruleset first searching relative to GitHub repository and then relative to the official ruleset directory
+ * shipped in Visual Studio.
+ * @param {string} rulesetDirectory path to directory containing all Visual Studio rulesets
+ * @returns path to ruleset found locally or inside Visual Studio
+ */
+function findRuleset(rulesetDirectory) {
+  const repoRulesetPath = resolveInputPath("ruleset");
+  if (!repoRulesetPath) {
+    return undefined;
+  } else if (existsSync(repoRulesetPath)) {
+    info(`Found local ruleset: ${repoRulesetPath}`);
+    return repoRulesetPath;
+  }
+
+  // search official ruleset directory that ships inside of Visual Studio
+  const rulesetPath = getInput("ruleset");
+  if (rulesetDirectory != undefined) {
+    const officialRulesetPath = join(rulesetDirectory, rulesetPath);
+    if (existsSync(officialRulesetPath)) {
+      info(`Found official ruleset: ${officialRulesetPath}`);
+      return officialRulesetPath;
+    }
+  } else {
+    warning("Unable to find official rulesets shipped with Visual Studio.");
+  }
+
+  throw new Error(`Unable to find local or official ruleset specified: ${rulesetPath}`);
+}
+
+/**
+ * Configure and build presets read from CMakePresets.json, CMakeUserPresets.json and every file they include.
+ * @param {string} sourceDir absolute path to the CMake source directory containing the presets files
+ */
+function CMakePresets(sourceDir) {
+  this.sourceDir = sourceDir;
+  // Each preset with the absolute path of the file defining it, by preset name
+  this.configurePresets = new Map();
+  this.buildPresets = new Map();
+
+  const loadedFiles = new Set();
+  const loadFile = (presetsFile) => {
+    if (loadedFiles.has(getPathKey(presetsFile))) {
+      return;
+    }
+
+    loadedFiles.add(getPathKey(presetsFile));
+    let presets;
+    try {
+      presets = JSON.parse(readFileSync(presetsFile, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Failed to parse presets file '${presetsFile}': ${err}`);
+    }
+
+    const presetMaps = [["configurePresets", this.configurePresets], ["buildPresets", this.buildPresets]];
+    for (const [kind, presetMap] of presetMaps) {
+      for (const preset of presets[kind] || []) {
+        if (!preset.name) {
+          throw new Error(`Preset in ${kind} of '${presetsFile}' has no name.`);
+        } else if (presetMap.has(preset.name)) {
+          throw new Error(`Duplicate preset '${preset.name}' in '${presetsFile}'.`);
+        }
+
+        presetMap.set(preset.name, { preset: preset, file: presetsFile });
+      }
+    }
+
+    for (const includeFile of presets.include || []) {
+      const includePath = resolve(dirname(presetsFile), includeFile);
+      if (!existsSync(includePath)) {
+        throw new Error(`Unable to find presets file '${includeFile}' included by '${presetsFile}'.`);
+      }
+
+      loadFile(includePath);
+    }
+  };
+
+  for (const filename of ["CMakePresets.json", "CMakeUserPresets.json"]) {
+    const presetsFile = join(sourceDir, filename);
+    if (existsSync(presetsFile)) {
+      loadFile(presetsFile);
+    }
+  }
+
+  if (loadedFiles.size == 0) {
+    throw new Error(`Unable to find CMakePresets.json or CMakeUserPresets.json in: ${sourceDir}`);
+  }
+
+  /**
+   * Get a preset with all fields of the presets it inherits from. Earlier presets in the inherits list
+   * take precedence over later ones, and the preset's own fields take precedence over all of them.
+   * @param {Map} presetMap either configurePresets or buildPresets
+   * @param {string} name name of the preset
+   * @param {string[]} inheritChain presets inheriting from this preset, used to detect cycles
+   * @returns the preset fields and the absolute path of the file defining the preset
+   */
+  this.resolvePreset = function(presetMap, name, inheritChain = []) {
+    if (inheritChain.includes(name)) {
+      throw new Error(`Preset inherits from itself: ${inheritChain.concat([name]).join(" -> ")}`);
+    } else if (!presetMap.has(name)) {
+      throw new Error(`Unable to find preset '${name}'` +
+        (inheritChain.length > 0 ? ` inherited by '${inheritChain[inheritChain.length - 1]}'.` : "."));
+    }
+
+    const { preset, file } = presetMap.get(name);
+    const parents = typeof preset.inherits == "string" ? [preset.inherits] : preset.inherits || [];
+    const resolved = {};
+    for (const parent of parents.slice().reverse()) {
+      const parentPreset = this.resolvePreset(presetMap, parent, inheritChain.concat([name])).preset;
+      delete parentPreset.hidden;
+      mergePresetFields(resolved, parentPreset);
+    }
+
+    mergePresetFields(resolved, preset);
+    delete resolved.inherits;
+    return { preset: resolved, file: file };
+  };
+}
+
+/**
+ * Copy the fields of a preset onto another, merging map fields such as cacheVariables.
+ * @param {object} target preset fields that are updated
+ * @param {object} source preset fields taking precedence
+ */
+function mergePresetFields(target, source) {
+  for (const [field, value] of Object.entries(source)) {
+    if (["cacheVariables", "environment"].includes(field)) {
+      target[field] = Object.assign({}, target[field], value);
+    } else {
+      target[field] = value;
+    }
+  }
+}
+
+/**
+ * Expand the macros CMake supports in preset fields such as ${sourceDir} or $env{NAME}.
+ * @param {string} value preset field value to expand
+ * @param {[key: string]: string} macros value of each ${name} macro
+ * @param {[key: string]: string} environment environment of the preset used for $env{NAME}
+ * @returns the expanded value
+ */
+function expandPresetMacros(value, macros, environment) {
+  return value.replace(/\$(env|penv|vendor)?\{([^}]*)\}/g, (macro, namespace, name) => {
+    if (namespace == "env") {
+      return name in environment ? expandPresetMacros(environment[name] || "", macros, {}) : process.env[name] || "";
+    } else if (namespace == "penv") {
+      return process.env[name] || "";
+    } else if (namespace == "vendor" || !(name in macros)) {
+      throw new Error(`Unsupported macro in preset: ${macro}`);
+    }
+
+    return macros[name];
+  });
+}
+
+/**
+ * Build directory and configuration derived from CMake presets.
+ * @param {string} configurePreset name of the configure preset
+ * @param {string} binaryDir absolute path to the build directory of the configure preset
+ * @param {string} configuration build configuration of the presets, undefined if not set
+ */
+function CMakePresetInfo(configurePreset, binaryDir, configuration) {
+  this.configurePreset = configurePreset;
+  this.binaryDir = binaryDir;
+  this.configuration = configuration;
+}
+
+/**
+ * Find the build directory and configuration of the given presets.
+ * @param {string} sourceDir absolute path to the CMake source directory containing the presets files
+ * @param {string} configurePresetName name of the configure preset, found from the build preset if undefined
+ * @param {string} buildPresetName name of the build preset, if any
+ * @returns CMakePresetInfo of the selected presets
+ */
+function loadCMakePresetInfo(sourceDir, configurePresetName, buildPresetName) {
+  const presets = new CMakePresets(sourceDir);
+  let configuration;
+  if (buildPresetName) {
+    const buildPreset = presets.resolvePreset(presets.buildPresets, buildPresetName).preset;
+    if (!buildPreset.configurePreset) {
+      throw new Error(`Build preset '${buildPresetName}' has no configurePreset.`);
+    } else if (configurePresetName && configurePresetName != buildPreset.configurePreset) {
+      throw new Error(`Build preset '${buildPresetName}' uses configure preset '${buildPreset.configurePreset}' ` +
+        `not '${configurePresetName}'.`);
+    }
+
+    configurePresetName = buildPreset.configurePreset;
+    configuration = buildPreset.configuration;
+  }
+
+  const { preset, file } = presets.resolvePreset(presets.configurePresets, configurePresetName);
+  const macros = {
+    sourceDir: sourceDir,
+    sourceParentDir: dirname(sourceDir),
+    sourceDirName: basename(sourceDir),
+    presetName: configurePresetName,
+    generator: preset.generator || "",
+    hostSystemName: "Windows",
+    fileDir: dirname(file),
+    dollar: "$",
+    pathListSep: ";"
+  };
+  const environment = preset.environment || {};
+  if (!preset.binaryDir) {
+    throw new Error(`Configure preset '${configurePresetName}' has no binaryDir.`);
+  }
+
+  const binaryDir = resolve(sourceDir, expandPresetMacros(preset.binaryDir, macros, environment));
+  if (!configuration) {
+    const buildType = (preset.cacheVariables || {}).CMAKE_BUILD_TYPE;
+    configuration = buildType && typeof buildType == "object" ? buildType.value : buildType;
+  }
+
+  info(`Using configure preset '${configurePresetName}' with build directory: ${binaryDir}`);
+  return new CMakePresetInfo(configurePresetName, binaryDir,
+    configuration ? expandPresetMacros(configuration, macros, environment) : undefined);
+}
+
+/**
+ * Get the key used to compare warning IDs, which cl.exe treats as case-insensitive.
+ * @param {string} ruleId warning ID such as C26400
+ * @returns upper-case warning ID
+ */
+function getRuleIdKey(ruleId) {
+  return (ruleId || "").toUpperCase();
+}
+
+/**
+ * Get the warning IDs of a ";" seperated list input such as enableRules.
+ * @param {string} input name of the input
+ * @returns list of upper-case warning IDs
+ */
+function getRuleIdsInput(input) {
+  const ruleIds = getListInput(input).map((ruleId) => getRuleIdKey(ruleId));
+  for (const ruleId of ruleIds) {
+    if (!/^C\d{4,5}$/.test(ruleId)) {
+      throw new Error(`Invalid warning ID '${ruleId}' in ${input}, expected an ID such as C26400.`);
+    }
+  }
+
+  return ruleIds;
+}
+
+/**
+ * Create the contents of a ruleset enabling and disabling the given rules on top of a base ruleset.
+ * @param {string} baseRulesetPath absolute path to the ruleset to include, no rules are included if undefined
+ * @param {string[]} enabledRules warning IDs to enable
+ * @param {string[]} disabledRules warning IDs to disable
+ * @returns XML text of the ruleset
+ */
+function createRuleset(baseRulesetPath, enabledRules, disabledRules) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<RuleSet Name="MSVC Code Analysis Action" Description="Generated from enableRules and disableRules" ' +
+      'ToolsVersion="16.0">'
+  ];
+
+  if (baseRulesetPath) {
+    lines.push(`  <Include Path="${escapeXml(baseRulesetPath)}" Action="Default" />`);
+  }
+
+  lines.push('  <Rules AnalyzerId="Microsoft.Analyzers.NativeCodeAnalysis" RuleNamespace="Microsoft.Rules.Native">');
+  lines.push(...enabledRules.map((ruleId) => `    <Rule Id="${ruleId}" Action="Warning" />`));
+  lines.push(...disabledRules.map((ruleId) => `    <Rule Id="${ruleId}" Action="None" />`));
+  lines.push("  </Rules>", "</RuleSet>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write a ruleset enabling and disabling the given rules on top of a base ruleset. Each run writes its own
+ * temporary file as concurrent jobs on a self-hosted runner may share the temporary directory.
+ * @param {string} baseRulesetPath absolute path to the ruleset to include, no rules are included if undefined
+ * @param {string[]} enabledRules warning IDs to enable
+ * @param {string[]} disabledRules warning IDs to disable
+ * @returns absolute path to the generated ruleset
+ */
+function writeGeneratedRuleset(baseRulesetPath, enabledRules, disabledRules) {
+  const ruleset = createRuleset(baseRulesetPath, enabledRules, disabledRules);
+  let rulesetPath;
+  try {
+    rulesetPath = createTempFile(".ruleset");
+    writeFileSync(rulesetPath, ruleset, 'utf-8');
+  } catch (err) {
+    throw new Error(`Failed to write generated ruleset: ${err}`);
+  }
+
+  info(`Generated ruleset ${rulesetPath} based on ${baseRulesetPath || "no ruleset"}`);
+  if (disabledRules.length > 0) {
+    info(`Disabled rules: ${disabledRules.join(", ")}`);
+  }
+
+  return rulesetPath;
+}
+
+// Types of CMake targets which can be selected with the targetTypes input
+const TargetTypes = ["EXECUTABLE", "STATIC_LIBRARY", "SHARED_LIBRARY", "MODULE_LIBRARY", "OBJECT_LIBRARY",
+  "INTERFACE_LIBRARY", "UTILITY"];
+
+/**
+ * Filter selecting the CMake targets to analyze by name and type.
+ * @param {string[]} targets names or glob patterns of targets to analyze, all targets if empty
+ * @param {string[]} excludedTargets names or glob patterns of targets to skip
+ * @param {string[]} targetTypes types of targets to analyze, all types if empty
+ */
+function TargetFilter(targets = [], excludedTargets = [], targetTypes = []) {
+  const targetPatterns = targets.map((pattern) => globToRegExp(pattern));
+  const excludedPatterns = excludedTargets.map((pattern) => globToRegExp(pattern));
+  this.targetTypes = targetTypes.map((type) => type.toUpperCase());
+  for (const type of this.targetTypes) {
+    if (!TargetTypes.includes(type)) {
+      throw new Error(`Unknown target type '${type}', expected one of: ${TargetTypes.join(", ")}.`);
+    }
+  }
+
+  // True if the filter selects a subset of targets
+  this.isSet = targets.length > 0 || excludedTargets.length > 0 || targetTypes.length > 0;
+
+  /**
+   * Find why a target is not analyzed.
+   * @param {object} target parsed target-xxx.json reply of the target
+   * @returns description of why the target is skipped, undefined if the target is analyzed
+   */
+  this.getSkipReason = function(target) {
+    if (targetPatterns.length > 0 && !targetPatterns.some((pattern) => pattern.test(target.name))) {
+      return "not in targets";
+    } else if (excludedPatterns.some((pattern) => pattern.test(target.name))) {
+      return "in excludedTargets";
+    } else if (this.targetTypes.length > 0 && !this.targetTypes.includes(target.type)) {
+      return `type ${target.type} not in targetTypes`;
+    }
+
+    return undefined;
+  };
+}
+
+/**
+ * Filter selecting the source files to analyze using glob patterns relative to the repository.
+ * @param {string[]} includedSources glob patterns of sources to analyze, all sources if empty
+ * @param {string[]} excludedSources glob patterns of sources to skip
+ * @param {boolean} analyzeGeneratedSources true to analyze sources CMake marks as generated
+ */
+function SourceFilter(includedSources = [], excludedSources = [], analyzeGeneratedSources = false) {
+  const includedPatterns = includedSources.map((pattern) => globToRegExp(pattern));
+  const excludedPatterns = excludedSources.map((pattern) => globToRegExp(pattern));
+
+  /**
+   * Find why a source file is not analyzed.
+   * @param {CompileCommand} command compile command of the source file
+   * @returns description of why the source is skipped, undefined if the source is analyzed
+   */
+  this.getSkipReason = function(command) {
+    const source = getWorkspaceRelativePath(command.source);
+    if (command.isGenerated && !analyzeGeneratedSources) {
+      return "marked as generated by CMake";
+    } else if (includedPatterns.length > 0 && !includedPatterns.some((pattern) => pattern.test(source))) {
+      return "not in includedSources";
+    } else if (excludedPatterns.some((pattern) => pattern.test(source))) {
+      return "in excludedSources";
+    }
+
+    return undefined;
+  };
+}
+
+// Properties of each entry in the argument overrides file
+const OverrideMatchers = ["language", "target", "configuration", "source"];
+const OverrideProperties = OverrideMatchers.concat(["args", "env"]);
+
+/**
+ * Extra arguments and environment variables for the compile commands matching every matcher of an entry in the
+ * argument overrides file. Matchers that are not set match every command.
+ * @param {object} entry parsed entry of the overrides file
+ * @param {string} description location of the entry, used in error messages
+ */
+function ArgumentOverride(entry, description) {
+  if (typeof entry != "object" || entry == null || Array.isArray(entry)) {
+    throw new Error(`${description} must be an object.`);
+  }
+
+  for (const property of Object.keys(entry)) {
+    if (!OverrideProperties.includes(property)) {
+      throw new Error(`${description} has unknown property '${property}', expected one of: ` +
+        `${OverrideProperties.join(", ")}.`);
+    }
+  }
+
+  const getMatcher = (property) => {
+    const values = entry[property] == undefined ? [] : [].concat(entry[property]);
+    if (values.some((value) => typeof value != "string")) {
+      throw new Error(`${description} property '${property}' must be a string or list of strings.`);
+    }
+
+    return values;
+  };
+
+  const languages = getMatcher("language").map((language) => language.toUpperCase());
+  for (const language of languages) {
+    if (language != "C" && language != "CXX") {
+      throw new Error(`${description} has unknown language '${language}', expected C or CXX.`);
+    }
+  }
+
+  const targetPatterns = getMatcher("target").map((pattern) => globToRegExp(pattern));
+  const configurations = getMatcher("configuration").map((configuration) => configuration.toLowerCase());
+  const sourcePatterns = getMatcher("source").map((pattern) => globToRegExp(pattern));
+
+  // Arguments appended after all other arguments of the matching commands
+  this.args = typeof entry.args == "string" ? argStringToArray(entry.args) : getMatcher("args");
+  // Environment variables replacing those of the matching commands
+  this.env = entry.env || {};
+  if (typeof this.env != "object" || Array.isArray(this.env) ||
+      Object.values(this.env).some((value) => typeof value != "string")) {
+    throw new Error(`${description} property 'env' must map environment variables to strings.`);
+  }
+
+  this.description = description;
+  // Number of commands the override was applied to
+  this.matchCount = 0;
+
+  /**
+   * Check if the override applies to a compile command.
+   * @param {CompileCommand} command compile command of the source file
+   * @returns true if every matcher of the override matches the command
+   */
+  this.matches = function(command) {
+    const source = getWorkspaceRelativePath(command.source);
+    return (languages.length == 0 || languages.includes(command.language)) &&
+      (targetPatterns.length == 0 || (command.target != undefined &&
+        targetPatterns.some((pattern) => pattern.test(command.target)))) &&
+      (configurations.length == 0 || command.configurations.some(
+        (configuration) => configurations.includes(configuration.toLowerCase()))) &&
+      (sourcePatterns.length == 0 || sourcePatterns.some((pattern) => pattern.test(source)));
+  };
+}
+
+/**
+ * Load the argument overrides file mapping matchers to extra arguments and environment variables:
+ * { "overrides": [ { "language": "C", "target": "...", "configuration": "...", "source": "...",
+ *   "args": [...], "env": {...} } ] }
+ * @param {string} overridesPath absolute path to the overrides file, no overrides if undefined
+ * @returns list of ArgumentOverride in the order of the file
+ */
+function loadArgumentOverrides(overridesPath) {
+  if (!overridesPath) {
+    return [];
+  } else if (!existsSync(overridesPath)) {
+    throw new Error(`Failed to find argument overrides file: ${overridesPath}`);
+  }
+
+  let overridesData;
+  try {
+    overridesData = JSON.parse(readFileSync(overridesPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to parse argument overrides file '${overridesPath}': ${err}`);
+  }
+
+  if (!overridesData || !Array.isArray(overridesData.overrides)) {
+    throw new Error(`Argument overrides file must contain an 'overrides' list: ${overridesPath}`);
+  }
+
+  return overridesData.overrides.map((entry, index) =>
+    new ArgumentOverride(entry, `${overridesPath}: override ${index}`));
+}
+
+/**
+ * Find the overrides matching a compile command.
+ * @param {CompileCommand} command compile command of the source file
+ * @param {ArgumentOverride[]} overrides overrides loaded from the argument overrides file
+ * @returns list of matching ArgumentOverride in the order of the file
+ */
+function getMatchingOverrides(command, overrides = []) {
+  return overrides.filter((override) => override.matches(command));
+}
+
+/**
+ * Append the arguments and environment variables of the given overrides.
+ * @param {string[]} args arguments derived from CMake and the common analyze arguments
+ * @param {[key: string]: string} env environment common to the toolchain
+ * @param {ArgumentOverride[]} overrides overrides matching the compile command
+ * @returns object with the resulting args and env
+ */
+function applyArgumentOverrides(args, env, overrides) {
+  for (const override of overrides) {
+    override.matchCount++;
+    args = args.concat(override.args);
+    env = Object.assign({}, env, override.env);
+  }
+
+  return { args: args, env: env };
+}
+
+/**
+ * Options to enable/disable different compiler features.
+ */
+function CompilerCommandOptions() {
+  // CMake presets used to find the build directory and configuration, undefined if not used.
+  const configurePreset = getInput("configurePreset");
+  const buildPreset = getInput("buildPreset");
+  const sourceDirectory = resolveInputPath("cmakeSourceDirectory") || process.env.GITHUB_WORKSPACE;
+  this.presetInfo = configurePreset || buildPreset ?
+    loadCMakePresetInfo(sourceDirectory, configurePreset, buildPreset) : undefined;
+  // How CMake is run to generate the CMake API reply data.
+  this.cmakeOptions = new CMakeOptions(sourceDirectory,
+    this.presetInfo ? this.presetInfo.configurePreset : undefined);
+  // Build configuration to use when using a multi-config CMake generator.
+  this.buildConfiguration = getInput("buildConfiguration") ||
+    (this.presetInfo ? this.presetInfo.configuration : undefined);
+  // JSON compilation database to use instead of the CMake file API.
+  this.compileCommandsPath = resolveInputPath("compileCommandsPath");
+  // Use /external command line options to ignore warnings in CMake SYSTEM headers.
+  this.ignoreSystemHeaders = getInput("ignoreSystemHeaders");
+  // Toggle whether implicit includes/libs are loaded from Visual Studio Command Prompt
+  this.loadImplicitCompilerEnv = getInput("loadImplicitCompilerEnv");
+  // Ignore analysis on any CMake targets or includes.
+  this.ignoredPaths = resolveInputPaths("ignoredPaths");
+  this.ignoredTargetPaths = this.ignoredPaths || [];
+  this.ignoredTargetPaths = this.ignoredTargetPaths.concat(resolveInputPaths("ignoredTargetPaths"));
+  this.ignoredIncludePaths = this.ignoredPaths || [];
+  this.ignoredIncludePaths = this.ignoredIncludePaths.concat(resolveInputPaths("ignoredIncludePaths"));
+  // Select CMake targets to analyze by name, glob pattern and type.
+  this.targetFilter = new TargetFilter(getListInput("targets"), getListInput("excludedTargets"),
+    getListInput("targetTypes"));
+  // Select source files to analyze by glob pattern, skipping generated sources unless enabled.
+  this.sourceFilter = new SourceFilter(getListInput("includedSources"), getListInput("excludedSources"),
+    getOptionalBooleanInput("analyzeGeneratedSources"));
+  // Warning IDs enabled or disabled through a ruleset generated on top of the selected ruleset.
+  this.enabledRules = getRuleIdsInput("enableRules");
+  this.disabledRules = getRuleIdsInput("disableRules");
+  const conflictingRules = this.enabledRules.filter((ruleId) => this.disabledRules.includes(ruleId));
+  if (conflictingRules.length > 0) {
+    throw new Error(`Rules cannot be both enabled and disabled: ${conflictingRules.join(", ")}`);
+  }
+
+  // Overrides for toolset paths of non-standard installs, found from the Visual Studio installation if not set.
+  this.espXEnginePath = resolveInputPath("espXEnginePath");
+  this.rulesetDirectory = resolveInputPath("rulesetDirectory");
+  this.vcvarsallPath = resolveInputPath("vcvarsallPath");
+  // Additional arguments to add the command-line of every analysis instance
+  this.additionalArgs = getInput("additionalArgs");
+  // Extra arguments and environment variables by language, target, configuration and source file.
+  this.argumentOverrides = loadArgumentOverrides(resolveInputPath("overridesPath"));
+  // File recording the headers included by each source file, collected using /showIncludes.
+  this.dependencyCachePath = resolveInputPath("dependencyCachePath");
+  // Directory to cache SARIF results for each source file between runs.
+  this.resultCacheDirectory = resolveInputPath("resultCacheDirectory");
+  // Build precompiled headers for each target before running analysis on the sources using them.
+  this.usePrecompiledHeaders = getOptionalBooleanInput("usePrecompiledHeaders", true);
+}
+
+/**
+ * Construct all command-line arguments that will be common among all sources files of a given compiler.
+ * @param {*} toolchain information on the toolchain being used
+ * @param {CompilerCommandOptions} options options for different compiler features
+ * @param {Map<string, ResolvedRuleset>} resolvedRulesets rulesets passed to the compiler, by path
+ * @returns list of analyze arguments common to the given toolchain
+ */
+function getCommonAnalyzeArguments(toolchain, options, resolvedRulesets = new Map()) {
+  let args = ["/analyze:only", "/analyze:quiet", "/analyze:log:format:sarif", "/nologo"];
+
+  const espXEngine = findEspXEngine(toolchain, options);
+  args.push(`/analyze:plugin${espXEngine}`);
+
+  const rulesetDirectory = findRulesetDirectory(toolchain, options);
+  let rulesetPath = findRuleset(rulesetDirectory);
+  const baseRulesetPath = rulesetPath;
+  const generateRuleset = options.enabledRules.length > 0 || options.disabledRules.length > 0;
+  if (generateRuleset) {
+    // toolchains with the same base ruleset share the generated ruleset
+    const generated = [...resolvedRulesets.values()].find((ruleset) => ruleset.isGenerated &&
+      ruleset.baseRulesetPath == baseRulesetPath);
+    rulesetPath = generated ? generated.path :
+      writeGeneratedRuleset(baseRulesetPath, options.enabledRules, options.disabledRules);
+  }
+
+  if (rulesetPath != undefined) {
+    let resolved;
+    try {
+      resolved = validateRuleset(rulesetPath, rulesetDirectory, resolvedRulesets);
+    } catch (err) {
+      // the generated ruleset is only cleaned up with the project once it has been validated
+      if (generateRuleset && existsSync(rulesetPath)) {
+        unlinkSync(rulesetPath);
+      }
+
+      throw err;
+    }
+
+    if (generateRuleset && !resolved.isGenerated) {
+      // the inputs are combined with the base ruleset, so list what cl.exe will actually report
+      resolved.isGenerated = true;
+      resolved.baseRulesetPath = baseRulesetPath;
+      info(`Rules enabled by the generated ruleset: ${resolved.getEnabledRules().join(", ") || "none"}`);
+    }
+
+    args.push(`/analyze:ruleset${rulesetPath}`);
+
+    // add ruleset directories incase user includes any official rulesets
+    if (rulesetDirectory != undefined) {
+      args.push(`/analyze:rulesetdirectory${rulesetDirectory}`);
+    }
+  } else {
+    warning('Ruleset is not being used, all warnings will be enabled.');
+  }
+
+  if (options.ignoreSystemHeaders) {
+    args.push(`/external:W0`);
+    args.push(`/analyze:external-`);
+  }
+
+  if (options.dependencyCachePath || options.resultCacheDirectory) {
+    args.push("/showIncludes");
+  }
+
+  if (options.additionalArgs) {
+    args = args.concat(argStringToArray(options.additionalArgs));
+  }
+
+  return args;
+}
+
+/**
+ * Extract the the implicit includes that should be used with the given compiler from the
+ * Visual Studio command prompt corresponding with the toolchain used. This is required
+ * as MSVC does not populate the CMake API `toolchain.implicit.includeDirectories` property.
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ * @param {CompilerCommandOptions} options options for different compiler features
+ * @returns array of default includes used by the given MSVC toolset
+ */
+async function extractEnvironmentFromCommandPrompt(toolchain, options) {
+  // use bat file to output environment variable required after running 'vcvarsall.bat' 
+  const vcEnvScript = join(__dirname, "vc_env.bat");
+  // init arguments for 'vcvarsall.bat' to match the toolset version/arch used
+  const commandPromptPath = findCommandPrompt(toolchain, options);
+  const arch = (toolchain.hostArch == toolchain.targetArch) ? 
+    toolchain.hostArch : `${toolchain.hostArch}_${toolchain.targetArch}`;
+
+  info("Extracting environment from VS Command Prompt");
+  const execOptions = { silent: true };
+  const execOutput = await getExecOutput(vcEnvScript,
     [commandPromptPath, arch, toolchain.toolsetVersion], execOptions);
   if (execOutput.exitCode != 0) {
     debug(execOutput.stdout);
     throw new Error("Failed to run VS Command Prompt to collect implicit includes/libs");
   }
 
-  const env = { INCLUDE: "", LIB: "" };
-  for (const line of execOutput.stdout.split(/\r?\n/)) {
-    const index = line.indexOf('=');
-    if (index != -1) {
-      const envVar = line.substring(0, index);
-      if (envVar in env) {
-        env[envVar] = line.substring(index + 1);
-      }
+  const env = { INCLUDE: "", LIB: "" };
+  for (const line of execOutput.stdout.split(/\r?\n/)) {
+    const index = line.indexOf('=');
+    if (index != -1) {
+      const envVar = line.substring(0, index);
+      if (envVar in env) {
+        env[envVar] = line.substring(index + 1);
+      }
+    }
+  }
+
+  return env;
+}
+
+/**
+ * Construct all environment variables that will be common among all sources files of a given compiler.
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ * @param {CompilerCommandOptions} options options for different compiler features
+ * @returns map of environment variables common to the given toolchain
+ */
+async function getCommonAnalyzeEnvironment(toolchain, options) {
+  const env = {
+    CAEmitSarifLog: "1", // enable compatibility mode as GitHub does not support some sarif options
+    CAExcludePath: process.env.CAExcludePath || "",
+    INCLUDE: process.env.INCLUDE || "",
+    LIB: process.env.LIB || "",
+  };
+
+  if (options.loadImplicitCompilerEnv) {
+    const commandPromptEnv = await extractEnvironmentFromCommandPrompt(toolchain, options);
+    env.CAExcludePath += `;${commandPromptEnv.INCLUDE}`; // exclude all implicit includes
+    env.INCLUDE += `;${commandPromptEnv.INCLUDE}`;
+    env.LIB += `;${commandPromptEnv.LIB}`;
+  }
+
+  return env;
+}
+
+/**
+ * Information required to run analysis on a single source file.
+ * @param {string} source absolute path to the source file being compiled
+ * @param {string} compiler absolute path to compiler used
+ * @param {string[]} args all compilation and analyze arguments to pass to cl.exe
+ * @param {[key: string]: string} env environment to use when running cl.exe
+ * @param {string} sarifLog absolute path to SARIF log file that will be produced
+ * @param {PrecompiledHeaderCommand} precompiledHeader precompiled header that must be built first, if any
+ * @param {string} directory working directory to run cl.exe from, the build directory if undefined
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ * @param {string[]} configurations build configurations using this command, empty if unknown
+ */
+function AnalyzeCommand(source, compiler, args, env, sarifLog, precompiledHeader = undefined,
+    directory = undefined, toolchain = undefined, configurations = []) {
+  this.source = source;
+  this.compiler = compiler;
+  this.args = args;
+  this.env = env;
+  this.sarifLog = sarifLog;
+  this.precompiledHeader = precompiledHeader;
+  this.directory = directory;
+  this.toolchain = toolchain;
+  this.configurations = configurations;
+}
+
+/**
+ * Information required to build the precompiled header shared by source files of a target and language.
+ * @param {CompileCommand} command compile command of the source file CMake uses to create the PCH
+ * @param {string} compiler absolute path to compiler used
+ * @param {string[]} args all compilation and analyze arguments to pass to cl.exe
+ * @param {[key: string]: string} env environment to use when running cl.exe
+ * @param {string[]} tempFiles absolute paths to the PCH, object and SARIF files that will be produced
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ */
+function PrecompiledHeaderCommand(command, compiler, args, env, tempFiles, toolchain = undefined) {
+  this.source = command.source;
+  this.directory = command.directory;
+  this.target = command.target;
+  this.language = command.language;
+  this.headers = command.precompileHeaders;
+  this.compiler = compiler;
+  this.args = args;
+  this.env = env;
+  this.tempFiles = tempFiles;
+  this.toolchain = toolchain;
+}
+
+/**
+ * Test if the argument is a cl.exe option to create or use a precompiled header.
+ * @param {string} arg compiler argument to test
+ * @returns true if the argument is one of /Yc, /Yu or /Fp
+ */
+function isPrecompiledHeaderArg(arg) {
+  return /^[/-](Yc|Yu|Fp)/.test(arg);
+}
+
+/**
+ * Get the value of the first precompiled header option of the given kind.
+ * @param {string[]} args compiler arguments to search
+ * @param {string} option one of 'Yc', 'Yu' or 'Fp'
+ * @returns the value of the option, undefined if the option is not used
+ */
+function getPrecompiledHeaderArg(args, option) {
+  const arg = args.find((arg) => arg.startsWith(`/${option}`) || arg.startsWith(`-${option}`));
+  return arg != undefined ? arg.substring(option.length + 1) : undefined;
+}
+
+/**
+ * Create a temporary file that must be removed once analysis has completed.
+ * @param {string} postfix file extension of the temporary file
+ * @returns absolute path to the temporary file
+ */
+function createTempFile(postfix) {
+  return fileSync({ postfix: postfix, discardDescriptor: true }).name;
+}
+
+/**
+ * Get all temporary files created for the given analysis commands.
+ * @param {AnalyzeCommand[]} analyzeCommands list of information to analyze each source file
+ * @returns list of absolute paths to temporary files
+ */
+function getTempFiles(analyzeCommands) {
+  return analyzeCommands.map((command) => command.sarifLog)
+    .concat(...getPrecompiledHeaderCommands(analyzeCommands).map((pch) => pch.tempFiles));
+}
+
+/**
+ * Get the rulesets written by the action which must be removed once analysis completes.
+ * @param {ResolvedRuleset[]} rulesets rulesets passed to the compiler
+ * @returns list of absolute paths to generated rulesets
+ */
+function getGeneratedRulesetPaths(rulesets) {
+  return rulesets.filter((ruleset) => ruleset.isGenerated).map((ruleset) => ruleset.path);
+}
+
+/**
+ * Get the unique precompiled headers that must be built before running the given analysis commands.
+ * @param {AnalyzeCommand[]} analyzeCommands list of information to analyze each source file
+ * @returns list of information to build each precompiled header
+ */
+function getPrecompiledHeaderCommands(analyzeCommands) {
+  return [...new Set(analyzeCommands
+    .map((command) => command.precompiledHeader)
+    .filter((pch) => pch))];
+}
+
+/**
+ * Construct the command-line arguments specific to a single source file using CMake data.
+ * @param {CompileCommand} command information on the compilation unit
+ * @param {ToolchainInfo} toolchain information on the toolchain being used
+ * @param {CompilerCommandOptions} options options for different compiler features
+ * @returns list of compilation arguments excluding any precompiled header options
+ */
+function getCompileArguments(command, toolchain, options) {
+  const args = argStringToArray(command.args).filter((arg) => !isPrecompiledHeaderArg(arg));
+  const allIncludes = toolchain.includes.concat(command.includes);
+  for (const include of allIncludes) {
+    if ((options.ignoreSystemHeaders && include.isSystem) || 
+        containsSubdirectory(options.ignoredIncludePaths, include.path)) {
+      // TODO: filter compiler versions that don't support /external.
+      args.push(`/external:I${include.path}`);
+    } else {
+      args.push(`/I${include.path}`);
+    }
+  }
+
+  for (const define of command.defines) {
+    args.push(`/D${define}`);
+  }
+
+  return args;
+}
+
+/**
+ * Remove the compile commands of source files which are not selected for analysis. Sources used to
+ * create a precompiled header are always kept as other sources depend on them.
+ * @param {CompileCommand[]} compileCommands compile commands of every source file
+ * @param {SourceFilter} sourceFilter filter selecting the source files to analyze
+ * @returns compile commands of the selected source files
+ */
+function filterCompileCommands(compileCommands, sourceFilter = new SourceFilter()) {
+  const skippedCounts = {};
+  const selectedCommands = compileCommands.filter((command) => {
+    if (getPrecompiledHeaderArg(argStringToArray(command.args), "Yc") != undefined) {
+      return true;
+    }
+
+    const skipReason = sourceFilter.getSkipReason(command);
+    if (skipReason) {
+      skippedCounts[skipReason] = (skippedCounts[skipReason] || 0) + 1;
+      return false;
+    }
+
+    return true;
+  });
+
+  for (const skipReason in skippedCounts) {
+    info(`Skipped ${skippedCounts[skipReason]} source file(s) ${skipReason}.`);
+  }
+
+  return selectedCommands;
+}
+
+/**
+ * Information needed to analyze every source file in the project.
+ * @param {string} sourceRoot absolute path to the top-level source directory of the project
+ * @param {AnalyzeCommand[]} analyzeCommands information to compile and analyze each source file
+ * @param {ResolvedRuleset[]} rulesets rulesets passed to the compiler
+ */
+function AnalysisProject(sourceRoot, analyzeCommands, rulesets = []) {
+  this.sourceRoot = sourceRoot;
+  this.analyzeCommands = analyzeCommands;
+  this.rulesets = rulesets;
+}
+
+/**
+ * Load information needed to compile and analyze each source file in the given CMake project.
+ * This makes use of the CMake file API, or the compilation database if one is given, and other
+ * sources to collect this data.
+ * @param {string} buildRoot absolute path to the build directory of the CMake project
+ * @param {CompilerCommandOptions} options options for different compiler features
+ * @returns AnalysisProject with information to compile and analyze each source file in the project
+ */
+async function createAnalysisCommands(buildRoot, options) {
+  let toolchainMap;
+  let compileCommands;
+  let sourceRoot;
+  if (options.compileCommandsPath) {
+    if (options.targetFilter.isSet) {
+      warning("Target filters are ignored as a compilation database has no information on CMake targets.");
+    }
+
+    const entries = loadCompilationDatabase(options.compileCommandsPath);
+    toolchainMap = await loadCompilationDatabaseToolchainMap(entries);
+    compileCommands = loadCompilationDatabaseCommands(entries, options.ignoredTargetPaths);
+    sourceRoot = process.env.GITHUB_WORKSPACE;
+  } else {
+    const replyIndexInfo = await loadCMakeApiReplies(buildRoot, options.cmakeOptions);
+    toolchainMap = loadToolchainMap(replyIndexInfo);
+    compileCommands = loadCompileCommands(replyIndexInfo, options.buildConfiguration, options.ignoredTargetPaths,
+      options.targetFilter);
+    sourceRoot = parseReplyFile(replyIndexInfo.codemodelResponseFile).paths.source;
+  }
+
+  compileCommands = filterCompileCommands(compileCommands, options.sourceFilter);
+
+  let commonArgsMap = {};
+  let commonEnvMap = {};
+  const resolvedRulesets = new Map();
+
+  // CMake compiles a generated source with /Yc to create the PCH used by other sources with /Yu. These
+  // are matched using the /Fp path of the PCH so targets using REUSE_FROM share the same PCH.
+  const precompiledHeaders = {};
+  // overrides applied to each PrecompiledHeaderCommand, which must match those of the sources using it
+  const precompiledHeaderOverrides = new Map();
+  const analyzeCommands = [];
+  try {
+    for (const toolchain of Object.values(toolchainMap)) {
+      if (!(toolchain.path in commonArgsMap)) {
+        toolchain.installationPath = await findVisualStudioInstallation(toolchain);
+        commonArgsMap[toolchain.path] = getCommonAnalyzeArguments(toolchain, options, resolvedRulesets);
+        commonEnvMap[toolchain.path] = await getCommonAnalyzeEnvironment(toolchain, options);
+      }
+    }
+
+    for (const command of compileCommands) {
+      const toolchain = toolchainMap[command.language];
+      const cmakeArgs = argStringToArray(command.args);
+      const pchPath = getPrecompiledHeaderArg(cmakeArgs, "Fp");
+      if (!toolchain || !options.usePrecompiledHeaders || !pchPath ||
+          getPrecompiledHeaderArg(cmakeArgs, "Yc") == undefined) {
+        continue;
+      }
+
+      const pchFile = createTempFile('.pch');
+      const objFile = createTempFile('.obj');
+      const sarifLog = createTempFile('.sarif');
+      // PCH must be built with the same analysis options as the sources using it
+      const commonArgs = commonArgsMap[toolchain.path].map((arg) => arg == "/analyze:only" ? "/analyze" : arg);
+      const overrides = getMatchingOverrides(command, options.argumentOverrides);
+      const { args, env } = applyArgumentOverrides(getCompileArguments(command, toolchain, options).concat([
+        `/Yc${getPrecompiledHeaderArg(cmakeArgs, "Yc")}`,
+        `/Fp${pchFile}`,
+        `/Fo${objFile}`,
+        "/c",
+        command.source,
+        `/analyze:log${sarifLog}`
+      ], commonArgs), commonEnvMap[toolchain.path], overrides);
+      const precompiledHeader = new PrecompiledHeaderCommand(
+        command, toolchain.path, args, env, [pchFile, objFile, sarifLog], toolchain);
+      precompiledHeaders[`${command.language}|${normalize(pchPath)}`] = precompiledHeader;
+      precompiledHeaderOverrides.set(precompiledHeader, overrides);
+      info(`Using precompiled header for target '${command.target}' (${command.language}): ` +
+        command.precompileHeaders.join(","));
+    }
+
+    for (const command of compileCommands) {
+      const toolchain = toolchainMap[command.language];
+      if (!toolchain) {
+        continue;
+      }
+
+      // sources used to create a PCH only include headers that are analyzed through the other sources
+      const cmakeArgs = argStringToArray(command.args);
+      if (getPrecompiledHeaderArg(cmakeArgs, "Yc") != undefined) {
+        continue;
+      }
+
+      let args = getCompileArguments(command, toolchain, options);
+      const overrides = getMatchingOverrides(command, options.argumentOverrides);
+
+      let precompiledHeader;
+      const pchPath = getPrecompiledHeaderArg(cmakeArgs, "Fp");
+      const pchHeader = getPrecompiledHeaderArg(cmakeArgs, "Yu");
+      if (options.usePrecompiledHeaders && pchPath && pchHeader != undefined) {
+        precompiledHeader = precompiledHeaders[`${command.language}|${normalize(pchPath)}`];
+        const pchOverrides = precompiledHeader ? precompiledHeaderOverrides.get(precompiledHeader) : [];
+        if (precompiledHeader && (pchOverrides.length != overrides.length ||
+            pchOverrides.some((override, index) => override != overrides[index]))) {
+          // a PCH built with other arguments gives mismatch errors or wrong analysis in the sources using it
+          info(`Argument overrides differ from the precompiled header '${pchPath}', analyzing without it: ` +
+            command.source);
+          precompiledHeader = undefined;
+        } else if (precompiledHeader) {
+          args.push(`/Yu${pchHeader}`);
+          args.push(`/Fp${precompiledHeader.tempFiles[0]}`);
+        } else {
+          debug(`No precompiled header is built for '${pchPath}', analyzing without it: ${command.source}`);
+        }
+      }
+
+      args.push(command.source);
+
+      let sarifLog = null;
+      try {
+        sarifLog = createTempFile('.sarif');
+      } catch (err) {
+        throw Error(`Failed to create temporary file to write SARIF: ${err}`, err);
+      }
+
+      args.push(`/analyze:log${sarifLog}`);
+
+      // overrides are applied last so they take precedence over flags derived from CMake
+      const overridden = applyArgumentOverrides(args.concat(commonArgsMap[toolchain.path]),
+        commonEnvMap[toolchain.path], overrides);
+      analyzeCommands.push(new AnalyzeCommand(command.source, toolchain.path, overridden.args,
+        overridden.env, sarifLog, precompiledHeader, command.directory, toolchain, command.configurations));
+    }
+
+    for (const override of options.argumentOverrides || []) {
+      if (override.matchCount == 0) {
+        warning(`${override.description} does not match any source file.`);
+      }
+    }
+  } catch (err) {
+    // Clean up all temp SARIF logs, precompiled headers and generated rulesets
+    analyzeCommands.map((command) => command.sarifLog)
+      .concat(...Object.values(precompiledHeaders).map((pch) => pch.tempFiles))
+      .concat(getGeneratedRulesetPaths([...resolvedRulesets.values()]))
+      .filter((file) => existsSync(file))
+      .forEach((file) => unlinkSync(file));
+    throw err;
+  }
+
+  return new AnalysisProject(sourceRoot, analyzeCommands, [...resolvedRulesets.values()]);
+}
+
+// TODO: use a more performant data-structure such a hash-set
+function ResultCache() {
+  this.files = {};
+  // returns the result previously added with the same rule, location and message, or undefined once added
+  this.addIfUnique = function(sarifResult) {
+    const id = sarifResult.ruleId;
+    if (!id) {
+      throw Error(`Found warning with no ID, resolve before continuing`);
+    }
+
+    const message = sarifResult.message ? sarifResult.message.text : undefined;
+    if (!message) {
+      throw Error(`Found warning with no message, resolve before continuing: ${id}`);
+    }
+
+    if (!sarifResult.locations || !sarifResult.locations[0] || !sarifResult.locations[0].physicalLocation) {
+        throw Error(`Found warning with no location, resolve before continuing:\n${id}: ${message}`);
+    }
+
+    const physicalLocation = sarifResult.locations[0].physicalLocation;
+    const file = physicalLocation.artifactLocation ? physicalLocation.artifactLocation.uri : undefined;
+    const line = physicalLocation.region ? physicalLocation.region.startLine : undefined;
+    const column = physicalLocation.region ? physicalLocation.region.startColumn : undefined;
+    if (file == undefined || line == undefined || column == undefined) {
+      throw Error(`Found warning with invalid location, resolve before continuing:\n${id}: ${message}`);
+    }
+
+    // file paths on Windows are case-insensitive
+    const fileKey = file.toLowerCase();
+    this.files[fileKey] = this.files[fileKey] || {};
+    this.files[fileKey][id] = this.files[fileKey][id] || [];
+
+    const ruleCache = this.files[fileKey][id];
+    const duplicate = ruleCache.find((result) =>
+      result.line == line && result.column == column && result.message == message);
+    if (duplicate) {
+      return duplicate.result;
+    }
+
+    ruleCache.push({
+      line: line,
+      column: column,
+      message: message,
+      result: sarifResult
+    });
+
+    return undefined;
+  };
+};
+
+/**
+ * Options to control how SARIF results are combined and reported.
+ */
+function SarifOptions() {
+  // SARIF file from a previous run used to mark results as new, unchanged or absent.
+  this.baselineSarif = resolveInputPath("baselineSarif");
+  // Condition on the results that fails the action, either 'none' or 'new'.
+  this.failOn = getInput("failOn") || "none";
+  if (!["none", "new"].includes(this.failOn)) {
+    throw new Error(`Unknown failOn value '${this.failOn}', expected 'none' or 'new'.`);
+  } else if (this.failOn == "new" && !this.baselineSarif) {
+    throw new Error("failOn 'new' requires baselineSarif to be set.");
+  }
+
+  // Emit a separate SARIF run for each toolchain and language rather than a single run.
+  this.separateRuns = getOptionalBooleanInput("separateRuns");
+  // Suppressions for known false positives.
+  this.suppressions = loadSuppressions(resolveInputPath("suppressionsFile"));
+  // How suppressed results are handled, either 'suppress' to keep them marked as suppressed or 'drop'.
+  this.suppressionMode = getInput("suppressionMode") || "suppress";
+  if (!["suppress", "drop"].includes(this.suppressionMode)) {
+    throw new Error(`Unknown suppressionMode value '${this.suppressionMode}', expected 'suppress' or 'drop'.`);
+  }
+
+  // Additional report formats written next to the SARIF file.
+  this.reportFormats = getListInput("reportFormats").map((format) => format.toLowerCase());
+  for (const format of this.reportFormats) {
+    if (!(format in ReportFormats)) {
+      throw new Error(`Unknown report format '${format}', expected one of: ${Object.keys(ReportFormats).join(", ")}.`);
+    }
+  }
+
+  // Emit the results as workflow annotations.
+  this.annotations = getOptionalBooleanInput("annotations");
+  // Write a Markdown report of the results to the job summary.
+  this.jobSummary = getOptionalBooleanInput("jobSummary", true);
+  // Remove results reported in files outside the project source root rather than flagging them.
+  this.dropOutsideSourceRoot = getOptionalBooleanInput("dropOutsideSourceRoot");
+}
+
+/**
+ * Suppression of results matching a rule, a file and optionally a line or message.
+ * @param {object} entry parsed JSON object for a single entry of the suppressions file
+ * @param {string} description description of the entry used in errors and warnings
+ */
+function Suppression(entry, description) {
+  for (const member of ["ruleId", "path", "justification"]) {
+    if (typeof entry[member] != "string" || !entry[member].trim()) {
+      throw new Error(`Suppression ${description} requires a '${member}'.`);
+    }
+  }
+
+  this.description = description;
+  this.ruleId = entry.ruleId;
+  this.path = entry.path;
+  this.pathPattern = globToRegExp(entry.path);
+  this.line = entry.line;
+  try {
+    this.message = entry.message ? new RegExp(entry.message) : undefined;
+  } catch (err) {
+    throw new Error(`Suppression ${description} has an invalid message regex: ${err}`);
+  }
+
+  this.justification = entry.justification;
+  // Number of results suppressed by this entry
+  this.matchCount = 0;
+
+  /**
+   * Test if the suppression applies to the given result.
+   * @param {object} result SARIF result
+   * @param {object} run SARIF run containing the result
+   * @returns true if the result should be suppressed
+   */
+  this.matches = function(result, run = undefined) {
+    const file = getResultFileKey(result, run);
+    return getRuleIdKey(result.ruleId) == getRuleIdKey(this.ruleId) &&
+      file != undefined && this.pathPattern.test(file) &&
+      (this.line == undefined || getResultLine(result) == this.line) &&
+      (this.message == undefined || this.message.test(result.message ? result.message.text : ""));
+  };
+}
+
+/**
+ * Read and validate the suppressions file.
+ * @param {string} suppressionsFile absolute path to the suppressions file
+ * @returns list of suppressions, empty if no file is given
+ */
+function loadSuppressions(suppressionsFile) {
+  if (!suppressionsFile) {
+    return [];
+  } else if (!existsSync(suppressionsFile)) {
+    throw new Error(`Unable to find suppressions file: ${suppressionsFile}`);
+  }
+
+  let suppressionsData;
+  try {
+    suppressionsData = JSON.parse(readFileSync(suppressionsFile));
+  } catch (err) {
+    throw new Error(`Failed to parse suppressions file '${suppressionsFile}': ${err}`);
+  }
+
+  const entries = Array.isArray(suppressionsData) ? suppressionsData : suppressionsData.suppressions;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Suppressions file must contain a list of suppressions: ${suppressionsFile}`);
+  }
+
+  return entries.map((entry, index) =>
+    new Suppression(entry, `#${index + 1} (${entry.ruleId} in ${entry.path})`));
+}
+
+/**
+ * Apply suppressions to the results of each run, either removing the suppressed results or keeping them
+ * with an external SARIF suppression holding the justification. Suppressions which match no result are
+ * reported as stale.
+ * @param {object[]} runs SARIF runs whose results are updated
+ * @param {Suppression[]} suppressions suppressions to apply
+ * @param {string} suppressionMode either 'suppress' or 'drop'
+ */
+function applySuppressions(runs, suppressions, suppressionMode) {
+  if (suppressions.length == 0) {
+    return;
+  }
+
+  for (const run of runs) {
+    const remainingResults = [];
+    for (const result of run.results) {
+      const suppression = suppressions.find((suppression) => suppression.matches(result, run));
+      if (!suppression) {
+        remainingResults.push(result);
+        continue;
+      }
+
+      suppression.matchCount++;
+      if (suppressionMode == "suppress") {
+        result.suppressions = (result.suppressions || []).concat([{
+          kind: "external",
+          justification: suppression.justification
+        }]);
+        remainingResults.push(result);
+      }
+    }
+
+    run.results = remainingResults;
+  }
+
+  const suppressedCount = suppressions.reduce((total, suppression) => total + suppression.matchCount, 0);
+  info(`Suppressed ${suppressedCount} result(s) using ${suppressions.length} suppression(s).`);
+  for (const suppression of suppressions.filter((suppression) => suppression.matchCount == 0)) {
+    warning(`Stale suppression ${suppression.description} did not match any result.`);
+  }
+}
+
+/**
+ * Test if a SARIF result has been suppressed.
+ * @param {object} result SARIF result
+ * @returns true if the result has any suppression that has not been rejected
+ */
+function isSuppressed(result) {
+  return (result.suppressions || []).some((suppression) => suppression.status != "rejected");
+}
+
+// URI base ID of the project source root used for all artifact locations inside it
+const SourceRootBaseId = "SRCROOT";
+
+/**
+ * Convert an absolute file URI or path into a file path.
+ * @param {string} uri file URI or path
+ * @returns file path with forward slashes
+ */
+function uriToPath(uri) {
+  let filepath = uri;
+  if (/^file:/i.test(uri)) {
+    filepath = decodeURIComponent(uri.replace(/^file:(\/\/[^/]*)?/i, ""));
+    // remove the leading slash before a drive letter, e.g. '/C:/'
+    if (/^\/[a-zA-Z]:/.test(filepath)) {
+      filepath = filepath.substring(1);
+    }
+  }
+
+  return filepath.replace(/\\/g, "/");
+}
+
+/**
+ * Convert an absolute file path into a file URI.
+ * @param {string} filepath absolute file path
+ * @returns file URI
+ */
+function pathToUri(filepath) {
+  const uriPath = encodeURI(filepath.replace(/\\/g, "/"));
+  return uriPath.startsWith("/") ? `file://${uriPath}` : `file:///${uriPath}`;
+}
+
+/**
+ * Get the absolute path of a SARIF artifact location.
+ * @param {object} artifactLocation SARIF artifactLocation
+ * @param {object} run SARIF run containing the location, used to resolve any uriBaseId
+ * @returns absolute file path with forward slashes, undefined if the location has no URI
+ */
+function getArtifactPath(artifactLocation, run) {
+  if (!artifactLocation || !artifactLocation.uri) {
+    return undefined;
+  }
+
+  const baseIds = run && run.originalUriBaseIds ? run.originalUriBaseIds : {};
+  const baseId = artifactLocation.uriBaseId ? baseIds[artifactLocation.uriBaseId] : undefined;
+  if (baseId && baseId.uri) {
+    return uriToPath(baseId.uri).replace(/\/?$/, "/") + decodeURIComponent(artifactLocation.uri);
+  }
+
+  return uriToPath(artifactLocation.uri);
+}
+
+/**
+ * Make a file path relative to the GitHub repository root if it is inside it.
+ * @param {string} filepath absolute file path
+ * @returns normalized path of the file with forward slashes
+ */
+function getWorkspaceRelativePath(filepath) {
+  const normalizedPath = normalize(filepath).replace(/\\/g, "/");
+  const workspace = process.env.GITHUB_WORKSPACE ? getPathKey(process.env.GITHUB_WORKSPACE) + "/" : undefined;
+  return workspace && normalizedPath.toLowerCase().startsWith(workspace) ?
+    normalizedPath.substring(workspace.length) : normalizedPath;
+}
+
+/**
+ * Get the file a SARIF result is reported in, relative to the GitHub repository root if possible.
+ * @param {object} result SARIF result
+ * @param {object} run SARIF run containing the result, used to resolve any uriBaseId
+ * @returns normalized path of the file with forward slashes, undefined if the result has no location
+ */
+function getResultFilePath(result, run = undefined) {
+  const physicalLocation = result.locations && result.locations[0] ?
+    result.locations[0].physicalLocation : undefined;
+  const file = getArtifactPath(physicalLocation ? physicalLocation.artifactLocation : undefined, run);
+  if (!file) {
+    return undefined;
+  }
+
+  return getWorkspaceRelativePath(file);
+}
+
+/**
+ * Get the key used to compare the files SARIF results are reported in.
+ * @param {object} result SARIF result
+ * @param {object} run SARIF run containing the result, used to resolve any uriBaseId
+ * @returns lower-case path of the file from getResultFilePath, undefined if the result has no location
+ */
+function getResultFileKey(result, run = undefined) {
+  const filepath = getResultFilePath(result, run);
+  return filepath ? filepath.toLowerCase() : undefined;
+}
+
+/**
+ * Rewrite every artifact location of a SARIF result, including related locations and code flows,
+ * to a URI relative to the project source root.
+ * @param {object} result SARIF result that is updated
+ * @param {string} sourceRoot absolute path to the project source root
+ * @returns true if the primary location of the result is inside the source root
+ */
+function normalizeResultLocations(result, sourceRoot) {
+  const sourceRootKey = getPathKey(sourceRoot).replace(/\/?$/, "/");
+  const rewrite = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(rewrite);
+    } else if (value && typeof value == "object") {
+      const artifactLocation = value.artifactLocation;
+      if (artifactLocation && artifactLocation.uri && !artifactLocation.uriBaseId) {
+        const filepath = uriToPath(artifactLocation.uri);
+        // the relative path is taken from the normalized path as its length can differ from the original
+        const normalizedPath = getNormalizedPath(filepath);
+        if (normalizedPath.toLowerCase().startsWith(sourceRootKey)) {
+          artifactLocation.uri = encodeURI(normalizedPath.substring(sourceRootKey.length));
+          artifactLocation.uriBaseId = SourceRootBaseId;
+        } else {
+          artifactLocation.uri = pathToUri(filepath);
+        }
+      }
+
+      Object.values(value).forEach(rewrite);
+    }
+  };
+
+  rewrite(result);
+
+  const physicalLocation = result.locations && result.locations[0] ?
+    result.locations[0].physicalLocation : undefined;
+  return !physicalLocation || !physicalLocation.artifactLocation ||
+    physicalLocation.artifactLocation.uriBaseId == SourceRootBaseId;
+}
+
+/**
+ * Rewrite every artifact location of a SARIF result which is relative to a base ID of its run to an
+ * absolute file URI, so the result can be compared with results of other runs.
+ * @param {object} result SARIF result that is updated
+ * @param {object} run SARIF run containing the result
+ */
+function resolveResultLocations(result, run) {
+  const resolve = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(resolve);
+    } else if (value && typeof value == "object") {
+      const artifactLocation = value.artifactLocation;
+      if (artifactLocation && artifactLocation.uri && artifactLocation.uriBaseId &&
+          (run.originalUriBaseIds || {})[artifactLocation.uriBaseId]) {
+        artifactLocation.uri = pathToUri(getArtifactPath(artifactLocation, run));
+        delete artifactLocation.uriBaseId;
+      }
+
+      Object.values(value).forEach(resolve);
+    }
+  };
+
+  resolve(result);
+}
+
+/**
+ * Get the start line of a SARIF result.
+ * @param {object} result SARIF result
+ * @returns the start line, 0 if the result has no region
+ */
+function getResultLine(result) {
+  const physicalLocation = result.locations && result.locations[0] ?
+    result.locations[0].physicalLocation : undefined;
+  return physicalLocation && physicalLocation.region ? physicalLocation.region.startLine || 0 : 0;
+}
+
+/**
+ * Get a fingerprint used to match results between runs. This only uses the rule, the file and the
+ * message with any numbers removed so results still match after code is added or removed around them.
+ * @param {object} result SARIF result
+ * @param {object} run SARIF run containing the result
+ * @returns fingerprint of the result
+ */
+function getBaselineFingerprint(result, run = undefined) {
+  const message = result.message && result.message.text ? result.message.text.replace(/\d+/g, "#") : "";
+  return `${result.ruleId}|${getResultFileKey(result, run)}|${message}`;
+}
+
+/**
+ * Set the SARIF baselineState of each result by comparing them to the results of a previous run. Results
+ * in the baseline which no longer exist are added with the 'absent' state to the run with the same
+ * automationDetails, or the first run if there is none.
+ * @param {object[]} runs SARIF runs whose results are updated
+ * @param {string} baselineSarif absolute path to the SARIF file of a previous run
+ */
+function applyBaseline(runs, baselineSarif) {
+  const baselineMap = new Map();
+  const baselineRunIds = new Map();
+  if (existsSync(baselineSarif)) {
+    const baselineLog = parseReplyFile(baselineSarif);
+    for (const baselineRun of baselineLog.runs || []) {
+      for (const result of baselineRun.results || []) {
+        if (result.baselineState == "absent") {
+          continue;
+        }
+
+        const fingerprint = getBaselineFingerprint(result, baselineRun);
+        if (!baselineMap.has(fingerprint)) {
+          baselineMap.set(fingerprint, []);
+        }
+
+        baselineMap.get(fingerprint).push(result);
+        baselineRunIds.set(result, baselineRun.automationDetails ? baselineRun.automationDetails.id : undefined);
+        // locations relative to a base ID of the baseline run are stored as absolute URIs
+        resolveResultLocations(result, baselineRun);
+      }
+    }
+  } else {
+    warning(`Baseline SARIF file does not exist, all results will be treated as new: ${baselineSarif}`);
+  }
+
+  for (const run of runs) {
+    for (const result of run.results) {
+      const candidates = baselineMap.get(getBaselineFingerprint(result, run)) || [];
+      if (candidates.length == 0) {
+        result.baselineState = "new";
+        continue;
+      }
+
+      // match identical results in the same file to the closest line
+      const line = getResultLine(result);
+      let closestIndex = 0;
+      candidates.forEach((candidate, index) => {
+        if (Math.abs(getResultLine(candidate) - line) < Math.abs(getResultLine(candidates[closestIndex]) - line)) {
+          closestIndex = index;
+        }
+      });
+
+      candidates.splice(closestIndex, 1);
+      result.baselineState = "unchanged";
+    }
+  }
+
+  for (const result of [].concat(...baselineMap.values())) {
+    const runId = baselineRunIds.get(result);
+    const run = runs.find((run) => run.automationDetails && run.automationDetails.id == runId) || runs[0];
+    // rule indexes refer to the rules of the baseline run
+    delete result.ruleIndex;
+    result.baselineState = "absent";
+    run.results.push(result);
+  }
+}
+
+/**
+ * Count the results of a combined SARIF log with each baselineState. Suppressed results are not counted.
+ * @param {object} sarifLog combined SARIF log
+ * @returns map of baselineState to the number of results
+ */
+function countBaselineStates(sarifLog) {
+  const counts = { new: 0, unchanged: 0, absent: 0 };
+  for (const run of sarifLog.runs) {
+    for (const result of run.results) {
+      if (result.baselineState in counts && !isSuppressed(result)) {
+        counts[result.baselineState]++;
+      }
+    }
+  }
+
+  return counts;
+}
+
+// SARIF result levels ordered from most to least severe
+const ResultLevels = ["error", "warning", "note", "none"];
+
+/**
+ * Options for the quality gate which fails the action based on the results found.
+ */
+function QualityGateOptions() {
+  // Maximum number of results allowed, no limit if undefined.
+  this.maxResults = getNonNegativeIntegerInput("maxResults");
+  // Fail if any result has this level or a more severe level.
+  this.failOnLevel = getInput("failOnLevel") || undefined;
+  if (this.failOnLevel && !["error", "warning", "note"].includes(this.failOnLevel)) {
+    throw new Error(`Unknown failOnLevel value '${this.failOnLevel}', expected 'error', 'warning' or 'note'.`);
+  }
+
+  // Fail if any result is reported for these rules.
+  this.failOnRules = getRuleIdsInput("failOnRules");
+}
+
+/**
+ * Get the level of a SARIF result, using the default level of its rule if not set on the result.
+ * @param {object} result SARIF result
+ * @param {object} run SARIF run containing the result
+ * @returns one of ResultLevels
+ */
+function getResultLevel(result, run) {
+  if (result.level) {
+    return result.level;
+  }
+
+  const rules = run.tool && run.tool.driver ? run.tool.driver.rules || [] : [];
+  const rule = result.ruleIndex != undefined ? rules[result.ruleIndex] : rules.find((r) => r.id == result.ruleId);
+  if (rule && rule.defaultConfiguration && rule.defaultConfiguration.level) {
+    return rule.defaultConfiguration.level;
+  }
+
+  return "warning";
+}
+
+/**
+ * Count the results of a combined SARIF log for each level and rule. Results absent compared to
+ * the baseline or suppressed are not counted.
+ * @param {object} sarifLog combined SARIF log
+ * @returns total, per level and per rule counts
+ */
+function countResults(sarifLog) {
+  const counts = { total: 0, levels: {}, rules: {}, files: {} };
+  ResultLevels.forEach((level) => counts.levels[level] = 0);
+  for (const run of sarifLog.runs) {
+    for (const result of run.results) {
+      if (result.baselineState == "absent" || isSuppressed(result)) {
+        continue;
+      }
+
+      const level = getResultLevel(result, run);
+      counts.total++;
+      counts.levels[level] = (counts.levels[level] || 0) + 1;
+      counts.rules[result.ruleId] = (counts.rules[result.ruleId] || 0) + 1;
+      const file = getResultFilePath(result, run);
+      if (file) {
+        counts.files[file] = (counts.files[file] || 0) + 1;
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Evaluate the quality gate against the results found.
+ * @param {object} counts result counts from countResults
+ * @param {QualityGateOptions} gateOptions options for the quality gate
+ * @returns description of each failed condition, empty if the gate passed
+ */
+function evaluateQualityGate(counts, gateOptions) {
+  const failures = [];
+  if (gateOptions.maxResults != undefined && counts.total > gateOptions.maxResults) {
+    failures.push(`${counts.total} result(s) exceed the maximum of ${gateOptions.maxResults}`);
+  }
+
+  if (gateOptions.failOnLevel) {
+    const failingLevels = ResultLevels.slice(0, ResultLevels.indexOf(gateOptions.failOnLevel) + 1);
+    const failingCount = failingLevels.reduce((total, level) => total + counts.levels[level], 0);
+    if (failingCount > 0) {
+      const breakdown = failingLevels
+        .filter((level) => counts.levels[level] > 0)
+        .map((level) => `${level}: ${counts.levels[level]}`)
+        .join(", ");
+      failures.push(`${failingCount} result(s) at level '${gateOptions.failOnLevel}' or above (${breakdown})`);
+    }
+  }
+
+  const ruleCounts = {};
+  for (const ruleId in counts.rules) {
+    ruleCounts[getRuleIdKey(ruleId)] = (ruleCounts[getRuleIdKey(ruleId)] || 0) + counts.rules[ruleId];
+  }
+
+  const failingRules = gateOptions.failOnRules.filter((rule) => ruleCounts[getRuleIdKey(rule)] > 0);
+  if (failingRules.length > 0) {
+    const breakdown = failingRules.map((rule) => `${rule}: ${ruleCounts[getRuleIdKey(rule)]}`).join(", ");
+    failures.push(`Result(s) found for rules that always fail (${breakdown})`);
+  }
+
+  return failures;
+}
+
+/**
+ * SARIF log produced by running analysis on a single source file.
+ * @param {string} sarifLog absolute path to the SARIF log
+ * @param {ToolchainInfo} toolchain information on the toolchain that produced the log, if known
+ * @param {string[]} configurations build configurations that produced the log, empty if unknown
+ */
+function SarifInput(sarifLog, toolchain = undefined, configurations = []) {
+  this.sarifLog = sarifLog;
+  this.toolchain = toolchain;
+  this.configurations = configurations;
+}
+
+/**
+ * Get the rule a SARIF result was reported for.
+ * @param {object} result SARIF result
+ * @param {object[]} rules rule descriptors of the run containing the result
+ * @returns the ID of the rule
+ */
+function getResultRuleId(result, rules) {
+  if (result.ruleId) {
+    return result.ruleId;
+  } else if (result.rule && result.rule.id) {
+    return result.rule.id;
+  }
+
+  const ruleIndex = result.ruleIndex != undefined ? result.ruleIndex : (result.rule || {}).index;
+  return ruleIndex != undefined && rules[ruleIndex] ? rules[ruleIndex].id : undefined;
+}
+
+/**
+ * Combined SARIF run containing the results of all SARIF logs produced by the same toolchain.
+ * @param {string} automationId automationDetails.id of the run, undefined for a single combined run
+ * @param {string} sourceRoot absolute path to the project source root, locations are left as is if undefined
+ * @param {boolean} dropOutsideSourceRoot true to remove results reported outside the source root
+ */
+function CombinedRun(automationId, sourceRoot = undefined, dropOutsideSourceRoot = false) {
+  const resultCache = new ResultCache();
+  const ruleIndexes = new Map();
+  this.run = {
+    "tool": null,
+    "results": []
+  };
+
+  // Number of results reported in files outside the source root
+  this.outsideSourceRootCount = 0;
+
+  if (automationId) {
+    this.run.automationDetails = { id: automationId };
+  }
+
+  if (sourceRoot) {
+    this.run.originalUriBaseIds = {
+      [SourceRootBaseId]: { uri: pathToUri(sourceRoot).replace(/\/?$/, "/") }
+    };
+  }
+
+  /**
+   * Add the rules and unique results of a run read from a SARIF log.
+   * @param {object} run SARIF run
+   * @param {string[]} configurations build configurations that produced the run, results are tagged with
+   * each configuration reporting them
+   */
+  this.addRun = function(run, configurations = []) {
+    // runs without a tool driver only contribute results, the tool is set once combined if still missing
+    if (!this.run.tool && run.tool && run.tool.driver) {
+      this.run.tool = JSON.parse(JSON.stringify(run.tool));
+      this.run.tool.driver.rules = [];
+    }
+
+    // rules are merged by ID as each log only contains the rules it reported
+    const rules = run.tool && run.tool.driver ? run.tool.driver.rules || [] : [];
+    for (const rule of rules) {
+      if (rule.id && !ruleIndexes.has(rule.id)) {
+        ruleIndexes.set(rule.id, this.run.tool.driver.rules.length);
+        this.run.tool.driver.rules.push(rule);
+      }
+    }
+
+    for (const result of run.results || []) {
+      const ruleId = getResultRuleId(result, rules);
+      if (ruleId) {
+        result.ruleId = ruleId;
+      }
+
+      const outsideSourceRoot = sourceRoot && !normalizeResultLocations(result, sourceRoot);
+      if (outsideSourceRoot && !dropOutsideSourceRoot) {
+        result.properties = result.properties || {};
+        result.properties.outsideSourceRoot = true;
+      }
+
+      if (configurations.length > 0) {
+        result.properties = result.properties || {};
+        result.properties.configurations = configurations.slice();
+      }
+
+      const original = resultCache.addIfUnique(result);
+      if (original) {
+        if (original.properties && original.properties.configurations) {
+          for (const configuration of configurations) {
+            if (!original.properties.configurations.includes(configuration)) {
+              original.properties.configurations.push(configuration);
+            }
+          }
+        }
+
+        continue;
+      }
+
+      // duplicates reported through shared headers are only counted once
+      if (outsideSourceRoot) {
+        this.outsideSourceRootCount++;
+        if (dropOutsideSourceRoot) {
+          continue;
+        }
+      }
+
+      // update indexes to refer to the merged rules
+      delete result.ruleIndex;
+      if (ruleIndexes.has(ruleId)) {
+        result.ruleIndex = ruleIndexes.get(ruleId);
+      }
+
+      if (result.rule && result.rule.index != undefined && !result.rule.toolComponent) {
+        result.rule.index = result.ruleIndex;
+      }
+
+      this.run.results.push(result);
+    }
+  };
+
+  /**
+   * Report a source file that failed to compile as a tool execution notification of the run.
+   * @param {CompileFailure} failure compiler diagnostics of the source file
+   */
+  this.addCompileFailure = function(failure) {
+    const notification = {
+      "level": "error",
+      "message": { "text": `Compilation failed with exit code ${failure.exitCode}.` +
+        (failure.output ? `\n${failure.output}` : "") },
+      "locations": [{ "physicalLocation": { "artifactLocation": { "uri": pathToUri(failure.source) } } }],
+      "properties": { "exitCode": failure.exitCode }
+    };
+
+    if (sourceRoot) {
+      normalizeResultLocations(notification, sourceRoot);
+    }
+
+    this.run.invocations = this.run.invocations || [{ "executionSuccessful": false, "toolExecutionNotifications": [] }];
+    this.run.invocations[0].toolExecutionNotifications.push(notification);
+  };
+}
+
+/**
+ * Combine the SARIF logs of each source file into a single SARIF file, removing duplicate results
+ * reported through shared headers. The rules of every log are merged so each run describes all rules
+ * reported in its results.
+ * @param {string} resultPath absolute path to the SARIF file to write
+ * @param {(string|SarifInput)[]} sarifFiles SARIF logs of each source file
+ * @param {SarifOptions} sarifOptions options controlling how results are combined
+ * @param {string} sourceRoot absolute path to the project source root which artifact locations are made
+ * relative to, locations are left as is if undefined
+ * @param {CompileFailure[]} compileFailures source files that failed to compile, reported as tool execution
+ * notifications
+ * @returns the combined SARIF log
+ */
+function combineSarif(resultPath, sarifFiles, sarifOptions = {}, sourceRoot = undefined, compileFailures = []) {
+  const combinedRuns = new Map();
+  const getCombinedRun = (toolchain) => {
+    let runKey = "";
+    let automationId;
+    if (sarifOptions.separateRuns && toolchain) {
+      runKey = `${toolchain.language}|${toolchain.path}`;
+      // the toolset version is left out so alerts are kept when the runner updates MSVC
+      const targetArch = toolchain.targetArch ? `${toolchain.targetArch}/` : "";
+      automationId = `msvc-code-analysis/${toolchain.language.toLowerCase()}/${targetArch}`;
+    }
+
+    if (!combinedRuns.has(runKey)) {
+      combinedRuns.set(runKey, new CombinedRun(automationId, sourceRoot, sarifOptions.dropOutsideSourceRoot));
+    }
+
+    return combinedRuns.get(runKey);
+  };
+
+  for (const sarifFile of sarifFiles) {
+    const sarifInput = typeof sarifFile == "string" ? new SarifInput(sarifFile) : sarifFile;
+    const combinedRun = getCombinedRun(sarifInput.toolchain);
+    const sarifLog = parseReplyFile(sarifInput.sarifLog);
+    for (const run of sarifLog.runs) {
+      combinedRun.addRun(run, sarifInput.configurations);
+    }
+  }
+
+  for (const failure of compileFailures) {
+    getCombinedRun(failure.toolchain).addCompileFailure(failure);
+  }
+
+  if (combinedRuns.size == 0) {
+    combinedRuns.set("", new CombinedRun(undefined, sourceRoot));
+  }
+
+  const outsideSourceRootCount = [...combinedRuns.values()].reduce(
+    (count, combinedRun) => count + combinedRun.outsideSourceRootCount, 0);
+  if (outsideSourceRootCount > 0) {
+    warning(`${outsideSourceRootCount} result(s) were reported in files outside the source root '${sourceRoot}'` +
+      (sarifOptions.dropOutsideSourceRoot ? " and were removed." : "."));
+  }
+
+  const combinedSarif = {
+    "version": "2.1.0",
+    "$schema": "https://schemastore.azurewebsites.net/schemas/json/sarif-2.1.0-rtm.5.json",
+    "runs": [...combinedRuns.values()].map((combinedRun) => combinedRun.run)
+  };
+
+  // SARIF requires a tool even if no source files were analyzed
+  for (const run of combinedSarif.runs) {
+    if (!run.tool) {
+      run.tool = { driver: { name: "Microsoft C++ Code Analysis" } };
+    }
+  }
+
+  applySuppressions(combinedSarif.runs, sarifOptions.suppressions || [], sarifOptions.suppressionMode);
+
+  if (sarifOptions.baselineSarif) {
+    applyBaseline(combinedSarif.runs, sarifOptions.baselineSarif);
+  }
+
+  try {
+    writeFileSync(resultPath, JSON.stringify(combinedSarif), 'utf-8');
+  } catch (err) {
+    throw new Error("Failed to write combined SARIF result file.", err);
+  }
+
+  return combinedSarif;
+}
+
+// Maximum number of rows in each table of the job summary
+const SummaryMaxRows = 10;
+
+/**
+ * Get the documentation link of a rule, either from the SARIF rule metadata or the MSVC documentation.
+ * @param {string} ruleId ID of the rule
+ * @param {object} sarifLog combined SARIF log
+ * @returns URL of the rule documentation, undefined if unknown
+ */
+function getRuleHelpUri(ruleId, sarifLog) {
+  for (const run of sarifLog.runs) {
+    const rules = run.tool && run.tool.driver ? run.tool.driver.rules || [] : [];
+    const rule = rules.find((rule) => rule.id == ruleId);
+    if (rule && rule.helpUri) {
+      return rule.helpUri;
+    }
+  }
+
+  // MSVC warnings such as C6001 are documented by their lower-case ID
+  return /^C\d+$/i.test(ruleId) ? `https://docs.microsoft.com/cpp/code-quality/${ruleId.toLowerCase()}` : undefined;
+}
+
+/**
+ * Escape text so it is shown as is in Markdown.
+ * @param {string} text text to escape
+ * @returns escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_|<>\[\]])/g, "\\$1");
+}
+
+/**
+ * Create the lines of a Markdown table, limited to SummaryMaxRows rows.
+ * @param {string[]} header title of each column
+ * @param {string[][]} rows cells of each row, already escaped
+ * @returns lines of the table
+ */
+function createMarkdownTable(header, rows) {
+  const lines = [
+    `| ${header.join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`
+  ].concat(rows.slice(0, SummaryMaxRows).map((row) => `| ${row.join(" | ")} |`));
+
+  if (rows.length > SummaryMaxRows) {
+    lines.push("", `_${rows.length - SummaryMaxRows} more not shown._`);
+  }
+
+  return lines;
+}
+
+/**
+ * Sort the entries of a map of counts from the highest to the lowest count.
+ * @param {object} counts map of name to count
+ * @returns list of [name, count] entries
+ */
+function sortCounts(counts) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Create a Markdown report of the analysis results.
+ * @param {object} counts result counts from countResults, undefined if analysis did not complete
+ * @param {object} sarifLog combined SARIF log, undefined if analysis did not complete
+ * @param {string[]} failedSourceFiles absolute paths of source files which failed to compile
+ * @returns Markdown text of the report
+ */
+function createSummary(counts, sarifLog, failedSourceFiles) {
+  const lines = ["## MSVC Code Analysis", ""];
+  if (counts) {
+    const levelRows = ResultLevels.map((level) => [level, `${counts.levels[level] || 0}`]);
+    levelRows.push(["**Total**", `**${counts.total}**`]);
+    lines.push(...createMarkdownTable(["Level", "Results"], levelRows));
+
+    if (counts.total > 0) {
+      const ruleRows = sortCounts(counts.rules).map(([ruleId, count]) => {
+        const helpUri = getRuleHelpUri(ruleId, sarifLog);
+        return [helpUri ? `[${escapeMarkdown(ruleId)}](${helpUri})` : escapeMarkdown(ruleId), `${count}`];
+      });
+      lines.push("", "### Top rules", "", ...createMarkdownTable(["Rule", "Results"], ruleRows));
+
+      const fileRows = sortCounts(counts.files).map(([file, count]) => [escapeMarkdown(file), `${count}`]);
+      lines.push("", "### Top files", "", ...createMarkdownTable(["File", "Results"], fileRows));
+    }
+  } else {
+    lines.push("Analysis did not complete, no results were produced.");
+  }
+
+  if (failedSourceFiles.length > 0) {
+    lines.push("", "### Files that failed to compile", "");
+    lines.push(...failedSourceFiles.slice(0, SummaryMaxRows)
+      .map((file) => `- ${escapeMarkdown(getWorkspaceRelativePath(file))}`));
+    if (failedSourceFiles.length > SummaryMaxRows) {
+      lines.push("", `_${failedSourceFiles.length - SummaryMaxRows} more not shown._`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Append a Markdown report to the job summary of the current step.
+ * @param {string} markdown Markdown text to write
+ */
+function writeSummary(markdown) {
+  const summaryPath = process.env.GITHUB_STEP_SUMMARY;
+  if (!summaryPath) {
+    debug("GITHUB_STEP_SUMMARY is not set, skipping the job summary.");
+    return;
+  }
+
+  try {
+    appendFileSync(summaryPath, markdown, 'utf-8');
+  } catch (err) {
+    warning(`Failed to write the job summary: ${err}`);
+  }
+}
+
+/**
+ * Get the results which are reported to the user, leaving out suppressed results and results which
+ * only exist in the baseline.
+ * @param {object} sarifLog combined SARIF log
+ * @returns list of each result with the run containing it
+ */
+function getReportedResults(sarifLog) {
+  const reportedResults = [];
+  for (const run of sarifLog.runs) {
+    for (const result of run.results) {
+      if (result.baselineState != "absent" && !isSuppressed(result)) {
+        reportedResults.push({ result: result, run: run });
+      }
+    }
+  }
+
+  return reportedResults;
+}
+
+// GitHub only shows this many annotations of each type per step
+const AnnotationLimit = 10;
+
+// Workflow command used to annotate results of each level
+const AnnotationCommands = { error: "error", warning: "warning", note: "notice", none: "notice" };
+
+/**
+ * Workflow annotation of a single SARIF result.
+ * @param {object} result SARIF result
+ * @param {object} run SARIF run containing the result
+ */
+function Annotation(result, run) {
+  const physicalLocation = result.locations && result.locations[0] ?
+    result.locations[0].physicalLocation : undefined;
+  const region = physicalLocation && physicalLocation.region ? physicalLocation.region : {};
+
+  this.level = getResultLevel(result, run);
+  this.command = AnnotationCommands[this.level] || "notice";
+  this.properties = { title: result.ruleId };
+  const file = getResultFilePath(result, run);
+  if (file) {
+    this.properties.file = file;
+  }
+
+  if (region.startLine) {
+    this.properties.startLine = region.startLine;
+  }
+
+  if (region.startColumn) {
+    this.properties.startColumn = region.startColumn;
+  }
+
+  const message = result.message && result.message.text ? result.message.text : "";
+  this.message = result.ruleId ? `${result.ruleId}: ${message}` : message;
+}
+
+/**
+ * Create the workflow annotations of all results, ordered from most to least severe and limited to what
+ * GitHub shows for each type of annotation.
+ * @param {object} sarifLog combined SARIF log
+ * @returns list of annotations to emit and the number of results left out due to the limit
+ */
+function createAnnotations(sarifLog) {
+  const annotations = getReportedResults(sarifLog).map(({ result, run }) => new Annotation(result, run));
+
+  const compareLocation = (a, b) => (a.properties.file || "").localeCompare(b.properties.file || "") ||
+    (a.properties.startLine || 0) - (b.properties.startLine || 0);
+  annotations.sort((a, b) =>
+    ResultLevels.indexOf(a.level) - ResultLevels.indexOf(b.level) || compareLocation(a, b));
+
+  const commandCounts = {};
+  const shownAnnotations = annotations.filter((annotation) => {
+    commandCounts[annotation.command] = (commandCounts[annotation.command] || 0) + 1;
+    return commandCounts[annotation.command] <= AnnotationLimit;
+  });
+
+  return { annotations: shownAnnotations, omittedCount: annotations.length - shownAnnotations.length };
+}
+
+/**
+ * Emit workflow annotations for the results of the combined SARIF log.
+ * @param {object} sarifLog combined SARIF log
+ */
+function writeAnnotations(sarifLog) {
+  const { annotations, omittedCount } = createAnnotations(sarifLog);
+  const annotate = { error: error, warning: warning, notice: notice };
+  for (const annotation of annotations) {
+    annotate[annotation.command](annotation.message, annotation.properties);
+  }
+
+  if (omittedCount > 0) {
+    info(`${omittedCount} result(s) were not annotated as GitHub only shows ${AnnotationLimit} annotations ` +
+      "of each type per step. See the SARIF file for all results.");
+  }
+}
+
+// Additional report formats with the file extension and output name of each
+const ReportFormats = {
+  junit: { extension: ".junit.xml", output: "junitReport" },
+  checkstyle: { extension: ".checkstyle.xml", output: "checkstyleReport" },
+  codeclimate: { extension: ".codeclimate.json", output: "codeClimateReport" }
+};
+
+// Severity of each result level in Checkstyle and Code Climate reports
+const CheckstyleSeverities = { error: "error", warning: "warning", note: "info", none: "info" };
+const CodeClimateSeverities = { error: "critical", warning: "major", note: "minor", none: "info" };
+
+/**
+ * Escape text for use in XML content or attribute values.
+ * @param {string} text text to escape
+ * @returns escaped text
+ */
+function escapeXml(text) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;" };
+  return String(text).replace(/[&<>"']/g, (char) => entities[char]);
+}
+
+/**
+ * Result in the form shared by the additional report formats.
+ * @param {object} result SARIF result
+ * @param {object} run SARIF run containing the result
+ */
+function ReportResult(result, run) {
+  const physicalLocation = result.locations && result.locations[0] ?
+    result.locations[0].physicalLocation : undefined;
+  const region = physicalLocation && physicalLocation.region ? physicalLocation.region : {};
+
+  this.ruleId = result.ruleId || "";
+  this.level = getResultLevel(result, run);
+  this.file = getResultFilePath(result, run) || "";
+  this.line = region.startLine || 1;
+  this.column = region.startColumn || 1;
+  this.message = result.message && result.message.text ? result.message.text : "";
+  this.fingerprint = getBaselineFingerprint(result, run);
+}
+
+/**
+ * Group report results by the file they are reported in.
+ * @param {ReportResult[]} reportResults results to group
+ * @returns map of file to its results, ordered by file
+ */
+function groupReportResults(reportResults) {
+  const fileResults = new Map();
+  const sortedResults = reportResults.slice().sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  for (const reportResult of sortedResults) {
+    if (!fileResults.has(reportResult.file)) {
+      fileResults.set(reportResult.file, []);
+    }
+
+    fileResults.get(reportResult.file).push(reportResult);
+  }
+
+  return fileResults;
+}
+
+/**
+ * Create a JUnit XML report with a test case for each file and a failure for each result.
+ * @param {ReportResult[]} reportResults results to report
+ * @param {string[]} sourceFiles absolute paths of all analyzed source files, added as passing test cases
+ * @returns XML text of the report
+ */
+function createJUnitReport(reportResults, sourceFiles) {
+  const fileResults = groupReportResults(reportResults);
+  const reportedFiles = new Set([...fileResults.keys()].map((file) => file.toLowerCase()));
+  for (const sourceFile of sourceFiles.map((file) => getWorkspaceRelativePath(file)).sort()) {
+    if (!reportedFiles.has(sourceFile.toLowerCase())) {
+      reportedFiles.add(sourceFile.toLowerCase());
+      fileResults.set(sourceFile, []);
+    }
+  }
+
+  const failingFiles = [...fileResults.values()].filter((results) => results.length > 0).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="MSVC Code Analysis" tests="${fileResults.size}" failures="${failingFiles}">`,
+    `  <testsuite name="MSVC Code Analysis" tests="${fileResults.size}" failures="${failingFiles}">`
+  ];
+
+  for (const [file, results] of fileResults) {
+    const testcase = `    <testcase classname="msvc-code-analysis" name="${escapeXml(file)}"`;
+    if (results.length == 0) {
+      lines.push(`${testcase}/>`);
+      continue;
+    }
+
+    lines.push(`${testcase}>`);
+    for (const result of results) {
+      lines.push(`      <failure type="${escapeXml(result.ruleId)}" message="${escapeXml(result.message)}">` +
+        `${escapeXml(`${file}:${result.line}:${result.column}: ${result.level} ${result.ruleId}: ${result.message}`)}` +
+        "</failure>");
+    }
+
+    lines.push("    </testcase>");
+  }
+
+  lines.push("  </testsuite>", "</testsuites>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Create a Checkstyle XML report.
+ * @param {ReportResult[]} reportResults results to report
+ * @returns XML text of the report
+ */
+function createCheckstyleReport(reportResults) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+  for (const [file, results] of groupReportResults(reportResults)) {
+    lines.push(`  <file name="${escapeXml(file)}">`);
+    for (const result of results) {
+      lines.push(`    <error line="${result.line}" column="${result.column}" ` +
+        `severity="${CheckstyleSeverities[result.level] || "info"}" message="${escapeXml(result.message)}" ` +
+        `source="${escapeXml(result.ruleId)}"/>`);
+    }
+
+    lines.push("  </file>");
+  }
+
+  lines.push("</checkstyle>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Create a Code Climate JSON report. Fingerprints are stable across runs as long as the rule, file and
+ * message of a result are unchanged.
+ * @param {ReportResult[]} reportResults results to report
+ * @returns JSON text of the report
+ */
+function createCodeClimateReport(reportResults) {
+  const fingerprintCounts = new Map();
+  const issues = groupReportResults(reportResults);
+  return JSON.stringify([].concat(...issues.values()).map((result) => {
+    // identical results in the same file are told apart by their order
+    const occurrence = fingerprintCounts.get(result.fingerprint) || 0;
+    fingerprintCounts.set(result.fingerprint, occurrence + 1);
+    return {
+      "type": "issue",
+      "check_name": result.ruleId,
+      "description": result.message,
+      "categories": ["Bug Risk"],
+      "severity": CodeClimateSeverities[result.level] || "info",
+      "fingerprint": createHash("md5").update(`${result.fingerprint}|${occurrence}`).digest("hex"),
+      "location": {
+        "path": result.file,
+        "positions": { "begin": { "line": result.line, "column": result.column } }
+      }
+    };
+  }), null, 2);
+}
+
+/**
+ * Write the additional reports of the combined SARIF log next to the SARIF file.
+ * @param {string} resultPath absolute path to the combined SARIF file
+ * @param {object} sarifLog combined SARIF log
+ * @param {string[]} reportFormats formats to write, keys of ReportFormats
+ * @param {string[]} sourceFiles absolute paths of all analyzed source files
+ * @returns map of each format to the absolute path of its report
+ */
+function writeReports(resultPath, sarifLog, reportFormats, sourceFiles) {
+  const reportResults = getReportedResults(sarifLog).map(({ result, run }) => new ReportResult(result, run));
+  const basePath = join(dirname(resultPath), basename(resultPath, extname(resultPath)));
+  const reportPaths = {};
+  for (const format of reportFormats) {
+    let report;
+    switch (format) {
+      case "junit":
+        report = createJUnitReport(reportResults, sourceFiles);
+        break;
+      case "checkstyle":
+        report = createCheckstyleReport(reportResults);
+        break;
+      case "codeclimate":
+        report = createCodeClimateReport(reportResults);
+        break;
+    }
+
+    const reportPath = basePath + ReportFormats[format].extension;
+    try {
+      writeFileSync(reportPath, report, 'utf-8');
+    } catch (err) {
+      throw new Error(`Failed to write ${format} report file: ${err}`);
+    }
+
+    reportPaths[format] = reportPath;
+  }
+
+  return reportPaths;
+}
+
+/**
+ * Options to control how analysis is run over all source files.
+ */
+function AnalysisRunOptions() {
+  // Maximum number of cl.exe instances to run at once, defaults to the number of CPUs.
+  this.parallelJobs = getPositiveIntegerInput("parallelJobs") || cpus().length;
+  // Maximum time to analyze a single source file before cl.exe is stopped, no limit if undefined.
+  this.fileTimeoutSeconds = getPositiveIntegerInput("fileTimeoutSeconds");
+  // Produce SARIF from the remaining source files rather than failing if any analysis times out.
+  this.continueOnTimeout = getOptionalBooleanInput("continueOnTimeout");
+  // Produce SARIF from the remaining source files rather than failing if any source file fails to compile.
+  this.continueOnCompileError = getOptionalBooleanInput("continueOnCompileError");
+  // Only analyze source files which have changed or include a changed file.
+  this.changedFilesOnly = getOptionalBooleanInput("changedFilesOnly");
+  // Git ref to compare against to find changed files.
+  this.changedFilesBase = getInput("changedFilesBase");
+  // Explicit list of changed files, used instead of comparing against changedFilesBase.
+  this.changedFiles = getInput("changedFiles").split(/\r?\n/)
+    .map((file) => file.trim())
+    .filter((file) => file)
+    .map((file) => resolvePath(file));
+  if (this.changedFilesOnly && !this.changedFilesBase && this.changedFiles.length == 0) {
+    throw new Error("changedFilesOnly requires either changedFilesBase or changedFiles to be set.");
+  }
+}
+
+/**
+ * Final state of running analysis on a single source file.
+ */
+const AnalyzeStatus = {
+  Succeeded: "succeeded",
+  Failed: "failed",
+  TimedOut: "timedOut"
+};
+
+// Prefix of each line cl.exe writes to stdout for every included file when using /showIncludes.
+const ShowIncludesPrefix = "Note: including file:";
+
+/**
+ * Result of running analysis on a single source file.
+ * @param {string} status AnalyzeStatus of the completed analysis
+ * @param {string[]} includes absolute paths of all files included, if /showIncludes was used
+ * @param {number} exitCode exit code of cl.exe
+ * @param {string} output compiler output without the /showIncludes lines
+ */
+function AnalyzeResult(status, includes, exitCode = 0, output = "") {
+  this.status = status;
+  this.includes = includes;
+  this.exitCode = exitCode;
+  this.output = output;
+}
+
+/**
+ * Compiler diagnostics of a source file that failed to compile.
+ * @param {AnalyzeCommand|PrecompiledHeaderCommand} command command that failed
+ * @param {AnalyzeResult} result result of running the command
+ */
+function CompileFailure(command, result) {
+  this.source = command.source;
+  this.toolchain = command.toolchain;
+  this.exitCode = result.exitCode;
+  this.output = result.output;
+}
+
+/**
+ * Forcefully stop the given process and all child processes it has started.
+ * @param {number} pid id of the root process to stop
+ */
+async function killProcessTree(pid) {
+  try {
+    await _exec("taskkill", ["/PID", `${pid}`, "/T", "/F"], { silent: true, ignoreReturnCode: true });
+  } catch (err) {
+    warning(`Failed to stop process ${pid}: ${err}`);
+  }
+}
+
+/**
+ * Run analysis on a single source file. All compiler output is buffered and printed as a single
+ * block once cl.exe exits so output from concurrent instances is not interleaved.
+ * @param {AnalyzeCommand} command information required to run analysis on the source file
+ * @param {string} buildDir absolute path to the build directory of the CMake project
+ * @param {AnalysisRunOptions} runOptions options controlling how analysis is run
+ * @returns AnalyzeResult of the completed analysis
+ */
+async function runAnalyzeCommand(command, buildDir, runOptions) {
+  let output = "";
+  const appendOutput = (data) => output += data.toString();
+
+  let timedOut = false;
+  const exitCode = await new Promise((resolve) => {
+    const child = spawn(command.compiler, command.args, {
+      cwd: command.directory || buildDir,
+      env: command.env,
+      windowsHide: true
+    });
+
+    let timer;
+    if (runOptions.fileTimeoutSeconds) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        killProcessTree(child.pid);
+      }, runOptions.fileTimeoutSeconds * 1000);
+    }
+
+    child.stdout.on("data", appendOutput);
+    child.stderr.on("data", appendOutput);
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      appendOutput(`${err}`);
+      resolve(-1);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve(code);
+    });
+  });
+
+  // separate /showIncludes output from any diagnostics
+  const includes = [];
+  const outputLines = [];
+  for (const line of output.split(/\r?\n/)) {
+    if (line.startsWith(ShowIncludesPrefix)) {
+      includes.push(normalize(line.substring(ShowIncludesPrefix.length).trim()));
+    } else {
+      outputLines.push(line);
     }
   }
 
-  return env;
+  const diagnostics = outputLines.join("\n").trim();
+  info([
+    `Running analysis on: ${command.source}`,
+    `[command]"${command.compiler}" ${command.args.join(" ")}`,
+    diagnostics
+  ].filter((line) => line).join("\n"));
+
+  if (timedOut) {
+    warning(`Analysis timed out after ${runOptions.fileTimeoutSeconds} seconds: ${command.source}`);
+    return new AnalyzeResult(AnalyzeStatus.TimedOut, includes, exitCode, diagnostics);
+  } else if (exitCode != 0) {
+    debug(`Compilation failed with exit code: ${exitCode}`);
+    debug("Environment:");
+    debug(command.env);
+    return new AnalyzeResult(AnalyzeStatus.Failed, includes, exitCode, diagnostics);
+  }
+
+  return new AnalyzeResult(AnalyzeStatus.Succeeded, includes);
 }
 
 /**
- * Construct all environment variables that will be common among all sources files of a given compiler.
- * @param {ToolchainInfo} toolchain information on the toolchain being used
- * @param {CompilerCommandOptions} options options for different compiler features
- * @returns map of environment variables common to the given toolchain
+ * Source files which did not successfully complete analysis.
+ * @param {AnalyzeCommand[]} analyzeCommands information required to run analysis on each source file
+ * @param {AnalyzeResult[]} results AnalyzeResult of each command in analyzeCommands
  */
-async function getCommonAnalyzeEnvironment(toolchain, options) {
-  const env = {
-    CAEmitSarifLog: "1", // enable compatibility mode as GitHub does not support some sarif options
-    CAExcludePath: process.env.CAExcludePath || "",
-    INCLUDE: process.env.INCLUDE || "",
-    LIB: process.env.LIB || "",
+function AnalysisRunResults(analyzeCommands, results) {
+  const statuses = results.map((result) => result.status);
+  const sourcesWithStatus = (status) => analyzeCommands
+    .filter((_, index) => statuses[index] == status)
+    .map((command) => command.source);
+
+  // Source files which failed to compile, in the same order as analyzeCommands
+  this.failedSourceFiles = sourcesWithStatus(AnalyzeStatus.Failed);
+  // Source files which were stopped after exceeding the timeout, in the same order as analyzeCommands
+  this.timedOutSourceFiles = sourcesWithStatus(AnalyzeStatus.TimedOut);
+  // Compiler diagnostics of each command which failed to compile
+  this.compileFailures = analyzeCommands
+    .map((command, index) => statuses[index] == AnalyzeStatus.Failed ? new CompileFailure(command, results[index]) :
+      undefined)
+    .filter((failure) => failure);
+  // Commands which completed analysis and produced a SARIF log
+  this.completedCommands = analyzeCommands.filter(
+    (_, index) => statuses[index] == AnalyzeStatus.Succeeded);
+  // Files included by each source file which completed analysis
+  this.dependencies = {};
+  analyzeCommands.forEach((command, index) => {
+    if (statuses[index] == AnalyzeStatus.Succeeded) {
+      // sources analyzed in several configurations depend on the includes of each
+      const includes = this.dependencies[command.source] || [];
+      this.dependencies[command.source] = includes.concat(
+        results[index].includes.filter((include) => !includes.includes(include)));
+    }
+  });
+}
+
+/**
+ * Print the compiler diagnostics of each source file that failed to compile in a collapsible group.
+ * @param {CompileFailure[]} compileFailures compiler diagnostics of each failed source file
+ */
+function logCompileFailures(compileFailures) {
+  for (const failure of compileFailures) {
+    startGroup(`Compiler errors in ${getWorkspaceRelativePath(failure.source)} (exit code ${failure.exitCode})`);
+    info(failure.output || "No compiler output was captured.");
+    endGroup();
+  }
+}
+
+/**
+ * Run analysis on all source files using a bounded pool of concurrent cl.exe instances.
+ * @param {AnalyzeCommand[]} analyzeCommands information required to run analysis on each source file
+ * @param {string} buildDir absolute path to the build directory of the CMake project
+ * @param {AnalysisRunOptions} runOptions options controlling how analysis is run
+ * @returns AnalysisRunResults listing the source files that did not complete analysis
+ */
+async function runAnalysis(analyzeCommands, buildDir, runOptions) {
+  const results = new Array(analyzeCommands.length);
+  let nextIndex = 0;
+  const runWorker = async () => {
+    while (nextIndex < analyzeCommands.length) {
+      const index = nextIndex++;
+      results[index] = await runAnalyzeCommand(analyzeCommands[index], buildDir, runOptions);
+    }
   };
 
-  if (options.loadImplicitCompilerEnv) {
-    const commandPromptEnv = await extractEnvironmentFromCommandPrompt(toolchain);
-    env.CAExcludePath += `;${commandPromptEnv.INCLUDE}`; // exclude all implicit includes
-    env.INCLUDE += `;${commandPromptEnv.INCLUDE}`;
-    env.LIB += `;${commandPromptEnv.LIB}`;
+  const workers = [];
+  const workerCount = Math.min(runOptions.parallelJobs, analyzeCommands.length);
+  for (let i = 0; i < workerCount; ++i) {
+    workers.push(runWorker());
   }
 
-  return env;
+  await Promise.all(workers);
+
+  return new AnalysisRunResults(analyzeCommands, results);
 }
 
 /**
- * Information required to run analysis on a single source file.
- * @param {string} source absolute path to the source file being compiled
- * @param {string} compiler absolute path to compiler used
- * @param {string[]} args all compilation and analyze arguments to pass to cl.exe
- * @param {[key: string]: string} env environment to use when running cl.exe
- * @param {string} sarifLog absolute path to SARIF log file that will be produced
+ * Normalize a file path using "/" as the separator on every platform.
+ * @param {string} filepath absolute path to a file
+ * @returns normalized path with "/" separators
  */
-function AnalyzeCommand(source, compiler, args, env, sarifLog) {
-  this.source = source;
-  this.compiler = compiler;
-  this.args = args;
-  this.env = env;
-  this.sarifLog = sarifLog;
+function getNormalizedPath(filepath) {
+  return normalize(filepath.replace(/\\/g, "/")).replace(/\\/g, "/");
 }
 
 /**
- * Load information needed to compile and analyze each source file in the given CMake project.
- * This makes use of the CMake file API and other sources to collect this data.
- * @param {string} buildRoot absolute path to the build directory of the CMake project
- * @param {CompilerCommandOptions} options options for different compiler features
- * @returns list of information to compile and analyze each source file in the project
+ * Get a key for a file path that can be compared regardless of separators or case.
+ * @param {string} filepath absolute path to a file
+ * @returns normalized lower-case path
  */
-async function createAnalysisCommands(buildRoot, options) {
-  const replyIndexInfo = await loadCMakeApiReplies(buildRoot);
-  const toolchainMap = loadToolchainMap(replyIndexInfo);
-  const compileCommands = loadCompileCommands(replyIndexInfo, options.buildConfiguration, options.ignoredTargetPaths);
+function getPathKey(filepath) {
+  return getNormalizedPath(filepath).toLowerCase();
+}
 
-  let commonArgsMap = {};
-  let commonEnvMap = {};
-  for (const toolchain of Object.values(toolchainMap)) {
-    if (!(toolchain.path in commonArgsMap)) {
-      commonArgsMap[toolchain.path] = getCommonAnalyzeArguments(toolchain, options);
-      commonEnvMap[toolchain.path] = await getCommonAnalyzeEnvironment(toolchain, options);
-    }
-  }
-
-  let analyzeCommands = []
-  for (const command of compileCommands) {
-    const toolchain = toolchainMap[command.language];
-    if (toolchain) {
-      let args = argStringToArray(command.args);
-      const allIncludes = toolchain.includes.concat(command.includes);
-      for (const include of allIncludes) {
-        if ((options.ignoreSystemHeaders && include.isSystem) || 
-            containsSubdirectory(options.ignoredIncludePaths, include.path)) {
-          // TODO: filter compiler versions that don't support /external.
-          args.push(`/external:I${include.path}`);
-        } else {
-          args.push(`/I${include.path}`);
-        }
-      }
+/**
+ * Find all files changed in the current change, either from the given list or by comparing HEAD
+ * against the base git ref.
+ * @param {AnalysisRunOptions} runOptions options controlling how analysis is run
+ * @returns list of absolute paths to changed files
+ */
+async function getChangedFiles(runOptions) {
+  if (runOptions.changedFiles.length > 0) {
+    return runOptions.changedFiles;
+  }
 
-      for (const define of command.defines) {
-        args.push(`/D${define}`);
-      }
+  const execOptions = { cwd: process.env.GITHUB_WORKSPACE, silent: true, ignoreReturnCode: true };
+  const execOutput = await getExecOutput("git",
+    ["diff", "--name-only", `${runOptions.changedFilesBase}...HEAD`], execOptions);
+  if (execOutput.exitCode != 0) {
+    throw new Error(`Failed to find files changed since '${runOptions.changedFilesBase}'. Ensure the ref has ` +
+      `been fetched: ${execOutput.stderr.trim()}`);
+  }
 
-      args.push(command.source);
+  return execOutput.stdout.split(/\r?\n/)
+    .filter((file) => file)
+    .map((file) => resolvePath(file));
+}
 
-      let sarifLog = null;
-      try {
-        sarifLog = fileSync({ postfix: '.sarif', discardDescriptor: true }).name;
-      } catch (err) {
-        // Clean up all temp SARIF logs
-        analyzeCommands.forEach(command => unlinkSync(command.sarifLog));
-        throw Error(`Failed to create temporary file to write SARIF: ${err}`, err);
-      }
-      
-      args.push(`/analyze:log${sarifLog}`);
+/**
+ * Load the files included by each source file recorded by a previous run.
+ * @param {string} dependencyCachePath absolute path to the dependency cache file
+ * @returns map of source file to the absolute paths of all files it includes
+ */
+function loadDependencyCache(dependencyCachePath) {
+  if (!dependencyCachePath || !existsSync(dependencyCachePath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(dependencyCachePath)).dependencies || {};
+  } catch (err) {
+    warning(`Ignoring invalid dependency cache '${dependencyCachePath}': ${err}`);
+    return {};
+  }
+}
 
-      args = args.concat(commonArgsMap[toolchain.path]);
-      analyzeCommands.push(new AnalyzeCommand(
-        command.source, toolchain.path, args, commonEnvMap[toolchain.path], sarifLog));
+/**
+ * Update the dependency cache with the files included by each source file analyzed in this run.
+ * Entries for source files that were not analyzed are kept so they can be used by the next run.
+ * @param {string} dependencyCachePath absolute path to the dependency cache file
+ * @param {object} previousDependencies map of source file to included files loaded before the run
+ * @param {AnalyzeCommand[]} analyzeCommands information to analyze every source file in the project
+ * @param {object} dependencies map of source file to included files for each source analyzed
+ */
+function saveDependencyCache(dependencyCachePath, previousDependencies, analyzeCommands, dependencies) {
+  const sources = analyzeCommands.map((command) => command.source)
+    .concat(getPrecompiledHeaderCommands(analyzeCommands).map((pch) => pch.source));
+
+  const cache = { version: 1, dependencies: {} };
+  for (const source of sources) {
+    const includes = dependencies[source] || previousDependencies[source];
+    if (includes) {
+      cache.dependencies[source] = includes;
     }
   }
 
-  return analyzeCommands;
+  try {
+    writeFileSync(dependencyCachePath, JSON.stringify(cache), 'utf-8');
+  } catch (err) {
+    warning(`Failed to write dependency cache '${dependencyCachePath}': ${err}`);
+  }
 }
 
-// TODO: use a more performant data-structure such a hash-set
-function ResultCache() {
-  this.files = {};
-  this.addIfUnique = function(sarifResult) {
-    const id = sarifResult.ruleId;
-    if (!id) {
-      throw Error(`Found warning with no ID, resolve before continuing`);
+/**
+ * Select the source files which need to be analyzed because either the source file or any file it
+ * includes has changed. Source files without any recorded dependencies are analyzed if any changed
+ * file is not itself a source file, as it may be a header they include.
+ * @param {AnalyzeCommand[]} analyzeCommands information to analyze every source file in the project
+ * @param {string[]} changedFiles absolute paths to all changed files
+ * @param {object} dependencies map of source file to the files it includes from a previous run
+ * @returns list of analyze commands that must be run
+ */
+function selectChangedCommands(analyzeCommands, changedFiles, dependencies) {
+  const changedKeys = new Set(changedFiles.map((file) => getPathKey(file)));
+  const dependencyMap = {};
+  for (const [source, includes] of Object.entries(dependencies)) {
+    dependencyMap[getPathKey(source)] = includes;
+  }
+
+  const sourceKeys = new Set(analyzeCommands.map((command) => getPathKey(command.source)));
+  const headersChanged = [...changedKeys].some((file) => !sourceKeys.has(file));
+
+  let changedSourceCount = 0;
+  let changedIncludeCount = 0;
+  let unknownIncludeCount = 0;
+  const selectedCommands = analyzeCommands.filter((command) => {
+    if (changedKeys.has(getPathKey(command.source))) {
+      changedSourceCount++;
+      return true;
     }
 
-    const message = sarifResult.message ? sarifResult.message.text : undefined;
-    if (!message) {
-      throw Error(`Found warning with no message, resolve before continuing: ${id}`);
+    let includes = dependencyMap[getPathKey(command.source)];
+    if (includes && command.precompiledHeader) {
+      const pchIncludes = dependencyMap[getPathKey(command.precompiledHeader.source)];
+      includes = pchIncludes ? includes.concat(pchIncludes) : undefined;
     }
 
-    if (!sarifResult.locations || !sarifResult.locations[0] || !sarifResult.locations[0].physicalLocation) {
-        throw Error(`Found warning with no location, resolve before continuing:\n${id}: ${message}`);
+    if (!includes) {
+      if (headersChanged) {
+        unknownIncludeCount++;
+        return true;
+      }
+
+      return false;
     }
 
-    const physicalLocation = sarifResult.locations[0].physicalLocation;
-    const file = physicalLocation.artifactLocation ? physicalLocation.artifactLocation.uri : undefined;
-    const line = physicalLocation.region ? physicalLocation.region.startLine : undefined;
-    const column = physicalLocation.region ? physicalLocation.region.startColumn : undefined;
-    if (file == undefined || line == undefined || column == undefined) {
-      throw Error(`Found warning with invalid location, resolve before continuing:\n${id}: ${message}`);
+    if (includes.some((include) => changedKeys.has(getPathKey(include)))) {
+      changedIncludeCount++;
+      return true;
     }
 
-    this.files[file] = this.files[file] || {};
-    this.files[file][id] = this.files[file][id] || [];
+    return false;
+  });
 
-    const ruleCache = this.files[file][id];
-    if (ruleCache.some((result) => 
-          result.line == line && result.column == column && result.message == message)) {
-      return false;
+  info(`Analyzing ${selectedCommands.length} of ${analyzeCommands.length} translation units affected by ` +
+    `${changedKeys.size} changed file(s): ${changedSourceCount} with a changed source, ${changedIncludeCount} ` +
+    `including a changed file and ${unknownIncludeCount} without recorded dependencies.`);
+  info(`Skipped ${analyzeCommands.length - selectedCommands.length} translation units as neither the source ` +
+    `nor any file they include has changed.`);
+
+  return selectedCommands;
+}
+
+/**
+ * Test if the argument refers to a temporary file that changes between runs.
+ * @param {string} arg compiler argument to test
+ * @returns true if the argument is /analyze:log or a precompiled header path
+ */
+function isTemporaryFileArg(arg) {
+  return arg.startsWith("/analyze:log") && !arg.startsWith("/analyze:log:") || /^[/-]Fp/.test(arg);
+}
+
+/**
+ * Cache of the SARIF log produced for each source file which can be persisted between workflow runs.
+ * Cached results are reused if the compiler binaries, its arguments and environment, the ruleset and
+ * the contents of the source file and every file it included are unchanged.
+ * @param {string} cacheDir absolute path to the directory containing the cache
+ * @param {ResolvedRuleset[]} rulesets rulesets passed to the compiler, used to find the rulesets they include
+ */
+function AnalysisResultCache(cacheDir, rulesets = []) {
+  this.cacheDir = cacheDir;
+  this.hits = 0;
+  this.misses = 0;
+  this.pruned = 0;
+
+  // a compiler update may keep the same path, so hash cl.exe, its front and back ends and the analysis plugin
+  const compilerHashes = new Map();
+  const getCompilerHash = function(command) {
+    const plugin = command.args.find((arg) => arg.startsWith("/analyze:plugin"));
+    const files = ["cl.exe", "c1.dll", "c1xx.dll", "c2.dll"].map((file) => join(dirname(command.compiler), file))
+      .concat(plugin ? [plugin.substring("/analyze:plugin".length)] : []);
+    const key = files.join(";");
+    if (!compilerHashes.has(key)) {
+      const hash = createHash("sha256");
+      for (const file of files.filter((file) => existsSync(file))) {
+        hash.update(file);
+        hash.update(readFileSync(file));
+      }
+
+      compilerHashes.set(key, hash.digest("hex"));
     }
 
-    ruleCache.push({
-      line: line,
-      column: column,
-      message: message
-    });
+    return compilerHashes.get(key);
+  };
 
-    return true;
+  // all options which affect the results other than file contents
+  // generated rulesets are written to a new temporary file each run, so only their contents are hashed
+  const generatedRulesets = new Set(rulesets.filter((ruleset) => ruleset.isGenerated)
+    .map((ruleset) => getPathKey(ruleset.path)));
+  const isGeneratedRulesetArg = (arg) => arg.startsWith("/analyze:ruleset") &&
+    generatedRulesets.has(getPathKey(arg.substring("/analyze:ruleset".length)));
+
+  const getCommandHash = function(command) {
+    const hash = createHash("sha256");
+    hash.update(command.compiler);
+    hash.update(getCompilerHash(command));
+    hash.update(JSON.stringify(command.args.filter((arg) => !isTemporaryFileArg(arg))
+      .map((arg) => isGeneratedRulesetArg(arg) ? "/analyze:ruleset" : arg)));
+    hash.update(JSON.stringify(command.env));
+    return hash.digest("hex");
   };
-};
 
-function combineSarif(resultPath, sarifFiles) {
-  const resultCache = new ResultCache();
-  const combinedSarif = {
-    "version": "2.1.0",
-    "$schema": "https://schemastore.azurewebsites.net/schemas/json/sarif-2.1.0-rtm.5.json",
-    "runs": [{
-      "tool": null,
-      "results": []
-    }]
+  // contents of the ruleset, source and every file included, undefined if any file no longer exists
+  const getContentHash = function(command, includes) {
+    const rulesetArg = command.args.find((arg) => arg.startsWith("/analyze:ruleset") &&
+      !arg.startsWith("/analyze:rulesetdirectory"));
+    const files = [command.source].concat([...new Set(includes)].sort());
+    if (rulesetArg) {
+      // included rulesets change the enabled rules as much as the ruleset itself
+      const rulesetPath = rulesetArg.substring("/analyze:ruleset".length);
+      const resolved = rulesets.find((ruleset) => getPathKey(ruleset.path) == getPathKey(rulesetPath));
+      files.push(...(resolved ? resolved.files : [rulesetPath]));
+    }
+
+    const hash = createHash("sha256");
+    for (const file of files) {
+      if (!existsSync(file)) {
+        return undefined;
+      }
+
+      hash.update(generatedRulesets.has(getPathKey(file)) ? "" : file);
+      hash.update(readFileSync(file));
+    }
+
+    return hash.digest("hex");
   };
 
-  for (const sarifFile of sarifFiles) {
-    const sarifLog = parseReplyFile(sarifFile);
-    for (const run of sarifLog.runs) {
-      if (!combinedSarif.runs[0].tool) {
-        combinedSarif.runs[0].tool = run.tool;
+  const getEntryPath = function(command, extension) {
+    const hash = createHash("sha256").update(getPathKey(command.source)).update(command.compiler)
+      .update((command.configurations || []).join(";"));
+    return join(cacheDir, `${hash.digest("hex")}${extension}`);
+  };
+
+  /**
+   * Find cached results for the given command.
+   * @param {AnalyzeCommand} command information required to run analysis on the source file
+   * @returns absolute path to the cached SARIF log, undefined if there are no valid cached results
+   */
+  this.find = function(command) {
+    const entryPath = getEntryPath(command, ".json");
+    const sarifLog = getEntryPath(command, ".sarif");
+    if (existsSync(entryPath) && existsSync(sarifLog)) {
+      try {
+        const entry = JSON.parse(readFileSync(entryPath));
+        if (entry.commandHash == getCommandHash(command) &&
+            entry.contentHash == getContentHash(command, entry.includes)) {
+          this.hits++;
+          info(`Using cached results for: ${command.source}`);
+          return sarifLog;
+        }
+      } catch (err) {
+        debug(`Ignoring invalid result cache entry '${entryPath}': ${err}`);
+      }
+    }
+
+    this.misses++;
+    debug(`No cached results for: ${command.source}`);
+    return undefined;
+  };
+
+  /**
+   * Store the results of a command that has successfully completed analysis.
+   * @param {AnalyzeCommand} command information required to run analysis on the source file
+   * @param {string[]} includes absolute paths to all files included by the source file
+   */
+  this.store = function(command, includes) {
+    const contentHash = getContentHash(command, includes);
+    if (!contentHash) {
+      return;
+    }
+
+    const entry = {
+      source: command.source,
+      commandHash: getCommandHash(command),
+      contentHash: contentHash,
+      includes: includes
+    };
+
+    try {
+      copyFileSync(command.sarifLog, getEntryPath(command, ".sarif"));
+      writeFileSync(getEntryPath(command, ".json"), JSON.stringify(entry), 'utf-8');
+    } catch (err) {
+      warning(`Failed to cache results for '${command.source}': ${err}`);
+    }
+  };
+
+  /**
+   * Remove the cached results of source files which are no longer analyzed in the project.
+   * @param {AnalyzeCommand[]} analyzeCommands commands of every source file in the project
+   */
+  this.prune = function(analyzeCommands) {
+    const entryNames = new Set(analyzeCommands.flatMap((command) =>
+      [basename(getEntryPath(command, ".json")), basename(getEntryPath(command, ".sarif"))]));
+    for (const filename of readdirSync(cacheDir)) {
+      // only remove files created by the cache as the directory may be shared
+      if (!/^[0-9a-f]{64}\.json$/.test(filename) && !/^[0-9a-f]{64}\.sarif$/.test(filename) ||
+          entryNames.has(filename)) {
+        continue;
       }
 
-      for (const result of run.results) {
-        if (resultCache.addIfUnique(result)) {
-          combinedSarif.runs[0].results.push(result);
+      try {
+        unlinkSync(join(cacheDir, filename));
+        if (filename.endsWith(".json")) {
+          this.pruned++;
         }
+      } catch (err) {
+        warning(`Failed to remove result cache entry '${filename}': ${err}`);
       }
     }
-  }
+  };
 
-  try {
-    writeFileSync(resultPath, JSON.stringify(combinedSarif), 'utf-8');
-  } catch (err) {
-    throw new Error("Failed to write combined SARIF result file.", err);
-  }
+  /**
+   * Log the number of cache hits, misses and pruned entries.
+   */
+  this.logStatistics = function() {
+    const total = this.hits + this.misses;
+    const hitRate = total > 0 ? Math.round(100 * this.hits / total) : 0;
+    info(`Result cache: ${this.hits} hit(s), ${this.misses} miss(es), ${hitRate}% hit rate, ` +
+      `${this.pruned} stale entry(s) removed.`);
+  };
 }
 
 /**
@@ -715,9 +4098,15 @@ function combineSarif(resultPath, sarifFiles) {
  */
 async function main() {
   var analyzeCommands = []; 
+  var rulesets = [];
   try {
-    const buildDir = resolveInputPath("cmakeBuildDirectory", true);
-    if (!existsSync(buildDir)) {
+    const options = new CompilerCommandOptions();
+    let buildDir = resolveInputPath("cmakeBuildDirectory", !options.compileCommandsPath && !options.presetInfo);
+    if (!buildDir) {
+      buildDir = options.presetInfo ? options.presetInfo.binaryDir : dirname(options.compileCommandsPath);
+    }
+
+    if (!existsSync(buildDir) && (options.compileCommandsPath || !options.cmakeOptions.configureProject)) {
       throw new Error("CMake build directory does not exist. Ensure CMake is already configured.");
     }
 
@@ -728,43 +4117,161 @@ async function main() {
       throw new Error("Directory of the 'resultPath' file must already exist.");
     }
 
-    const options = new CompilerCommandOptions();
-    analyzeCommands = await createAnalysisCommands(buildDir, options);
+    const project = await createAnalysisCommands(buildDir, options);
+    analyzeCommands = project.analyzeCommands;
+    rulesets = project.rulesets;
     if (analyzeCommands.length == 0) {
       throw new Error('No C/C++ files were found in the project that could be analyzed.');
     }
 
-    // TODO: parallelism
-    const failedSourceFiles = [];
-    for (const command of analyzeCommands) {
-      const execOptions = {
-        cwd: buildDir,
-        env: command.env,
-      };
+    const rulesPath = join(dirname(resultPath), `${basename(resultPath, extname(resultPath))}.rules.json`);
+    if (writeEnabledRules(rulesPath, project.rulesets)) {
+      setOutput("enabledRules", rulesPath);
+    }
 
-      // TODO: timeouts
-      info(`Running analysis on: ${command.source}`);
-      try {
-        await _exec(`"${command.compiler}"`, command.args, execOptions);
-      } catch (err) {
-        debug(`Compilation failed with error: ${err}`);
-        debug("Environment:");
-        debug(execOptions.env);
-        failedSourceFiles.push(command.source);
+    const runOptions = new AnalysisRunOptions();
+    const sarifOptions = new SarifOptions();
+    const gateOptions = new QualityGateOptions();
+    const previousDependencies = loadDependencyCache(options.dependencyCachePath);
+    let selectedCommands = analyzeCommands;
+    if (runOptions.changedFilesOnly) {
+      const changedFiles = await getChangedFiles(runOptions);
+      selectedCommands = selectChangedCommands(analyzeCommands, changedFiles, previousDependencies);
+    }
+
+    let resultCache;
+    const cachedSarifLogs = new Map();
+    let uncachedCommands = selectedCommands;
+    if (options.resultCacheDirectory) {
+      await mkdirP(options.resultCacheDirectory);
+      resultCache = new AnalysisResultCache(options.resultCacheDirectory, project.rulesets);
+      uncachedCommands = selectedCommands.filter((command) => {
+        const sarifLog = resultCache.find(command);
+        if (sarifLog) {
+          cachedSarifLogs.set(command, sarifLog);
+          return false;
+        }
+
+        return true;
+      });
+    }
+
+    const precompiledHeaderCommands = getPrecompiledHeaderCommands(uncachedCommands);
+    let failedPrecompiledHeaders = [];
+    let pchResults = new AnalysisRunResults([], []);
+    if (precompiledHeaderCommands.length > 0) {
+      info(`Building ${precompiledHeaderCommands.length} precompiled header(s) before running analysis.`);
+      pchResults = await runAnalysis(precompiledHeaderCommands, buildDir, runOptions);
+      failedPrecompiledHeaders = precompiledHeaderCommands.filter(
+        (pch) => !pchResults.completedCommands.includes(pch));
+    }
+
+    // sources using a PCH that failed to build are not analyzed
+    const runnableCommands = uncachedCommands.filter(
+      (command) => !failedPrecompiledHeaders.includes(command.precompiledHeader));
+    const runResults = await runAnalysis(runnableCommands, buildDir, runOptions);
+    if (options.dependencyCachePath) {
+      saveDependencyCache(options.dependencyCachePath, previousDependencies, analyzeCommands,
+        Object.assign({}, pchResults.dependencies, runResults.dependencies));
+    }
+
+    if (resultCache) {
+      for (const command of runResults.completedCommands) {
+        // sources using a PCH may not report files included through the PCH
+        const pchIncludes = command.precompiledHeader ?
+          pchResults.dependencies[command.precompiledHeader.source] || [] : [];
+        resultCache.store(command, runResults.dependencies[command.source].concat(pchIncludes));
       }
+
+      resultCache.prune(analyzeCommands);
+      resultCache.logStatistics();
     }
+    if (runResults.timedOutSourceFiles.length > 0) {
+      const fileList = runResults.timedOutSourceFiles
+        .map(file => basename(file))
+        .join(",");
+      warning(`Analysis timed out after ${runOptions.fileTimeoutSeconds} seconds in files: ${fileList}`);
+    }
+
+    const compileFailures = pchResults.compileFailures.concat(runResults.compileFailures);
+    const failedSourceFiles = compileFailures.map((failure) => failure.source);
+    logCompileFailures(compileFailures);
 
-    if (failedSourceFiles.length > 0) {
-      const fileList = failedSourceFiles
+    const errors = [];
+    if (failedPrecompiledHeaders.length > 0) {
+      const targetList = failedPrecompiledHeaders
+        .map(pch => `${pch.target} (${pch.language})`)
+        .join(",");
+      errors.push(`Failed to build precompiled headers for targets: ${targetList}`);
+    }
+
+    if (runResults.failedSourceFiles.length > 0) {
+      const fileList = runResults.failedSourceFiles
         .map(file => basename(file))
         .join(",");
-      throw new Error(`Analysis failed due to compiler errors in files: ${fileList}`);
+      errors.push(`Analysis failed due to compiler errors in files: ${fileList}`);
+    }
+
+    if (errors.length > 0 && runOptions.continueOnCompileError) {
+      warning(`${errors.join("\n")}\nContinuing with results from the remaining files as 'continueOnCompileError' ` +
+        "is set.");
+    } else if (errors.length > 0) {
+      if (sarifOptions.jobSummary) {
+        writeSummary(createSummary(undefined, undefined, failedSourceFiles));
+      }
+
+      throw new Error(errors.join("\n"));
+    }
+
+    if (runResults.timedOutSourceFiles.length > 0 && !runOptions.continueOnTimeout) {
+      throw new Error("Analysis timed out for one or more files. Set 'continueOnTimeout' to produce results " +
+        "from the remaining files.");
     }
 
-    const sarifResults = analyzeCommands.map(command => command.sarifLog);
-    combineSarif(resultPath, sarifResults);
+    const sarifResults = selectedCommands
+      .filter(command => cachedSarifLogs.has(command) || runResults.completedCommands.includes(command))
+      .map(command => new SarifInput(cachedSarifLogs.get(command) || command.sarifLog, command.toolchain,
+        command.configurations));
+    const combinedSarif = combineSarif(resultPath, sarifResults, sarifOptions, project.sourceRoot, compileFailures);
     setOutput("sarif", resultPath);
 
+    const resultCounts = countResults(combinedSarif);
+    info(`Analysis found ${resultCounts.total} result(s): ` +
+      ResultLevels.map((level) => `${resultCounts.levels[level]} ${level}`).join(", "));
+    setOutput("resultCount", resultCounts.total);
+    setOutput("errorCount", resultCounts.levels.error);
+    setOutput("warningCount", resultCounts.levels.warning);
+    setOutput("noteCount", resultCounts.levels.note);
+    if (sarifOptions.jobSummary) {
+      writeSummary(createSummary(resultCounts, combinedSarif, failedSourceFiles));
+    }
+
+    if (sarifOptions.annotations) {
+      writeAnnotations(combinedSarif);
+    }
+
+    const reportPaths = writeReports(resultPath, combinedSarif, sarifOptions.reportFormats,
+      selectedCommands.map((command) => command.source));
+    for (const format in reportPaths) {
+      setOutput(ReportFormats[format].output, reportPaths[format]);
+    }
+
+    const gateFailures = evaluateQualityGate(resultCounts, gateOptions);
+    if (sarifOptions.baselineSarif) {
+      const baselineCounts = countBaselineStates(combinedSarif);
+      info(`Compared to baseline: ${baselineCounts.new} new, ${baselineCounts.unchanged} unchanged and ` +
+        `${baselineCounts.absent} fixed result(s).`);
+      setOutput("newResultCount", baselineCounts.new);
+      setOutput("fixedResultCount", baselineCounts.absent);
+      if (sarifOptions.failOn == "new" && baselineCounts.new > 0) {
+        gateFailures.push(`${baselineCounts.new} new result(s) compared to the baseline`);
+      }
+    }
+
+    if (gateFailures.length > 0) {
+      throw new Error(`Quality gate failed:\n${gateFailures.map((failure) => ` - ${failure}`).join("\n")}`);
+    }
+
   } catch (error) {
     if (isDebug()) {
       setFailed(error.stack)
@@ -772,9 +4279,10 @@ async function main() {
       setFailed(error)
     }
   } finally {
-    analyzeCommands.map(command => command.sarifLog)
-      .filter(log => existsSync(log))
-      .forEach(log => unlinkSync(log));
+    getTempFiles(analyzeCommands)
+      .concat(getGeneratedRulesetPaths(rulesets))
+      .filter(file => existsSync(file))
+      .forEach(file => unlinkSync(file));
   }
 }
 
@@ -0,0 +1,326 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const rewire = require("rewire");
+const td = require("testdouble");
+const tmp = require("tmp");
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+chai.should();
+
+const clPath = "C:/VS/root/Tools/MSVC/14.29.30133/bin/Hostx86/x86/cl.exe";
+const cmakeBuildDir = path.normalize("path\\to\\cmake\\build");
+
+describe("Analysis", () => {
+    let action;
+    let childProcess;
+    let exec;
+
+    let AnalysisResultCache;
+    let AnalysisRunOptions;
+    let AnalyzeCommand;
+    let runAnalysis;
+    let selectChangedCommands;
+
+    function createCommands(sources) {
+        return sources.map((source) => new AnalyzeCommand(
+            source, clPath, [source], {}, source + ".sarif"));
+    }
+
+    function createRunOptions(parallelJobs, fileTimeoutSeconds = "") {
+        process.env["INPUT_PARALLELJOBS"] = `${parallelJobs}`;
+        process.env["INPUT_FILETIMEOUTSECONDS"] = `${fileTimeoutSeconds}`;
+        return new AnalysisRunOptions();
+    }
+
+    // Fake cl.exe process which exits with the code returned by the given callback.
+    function fakeCompiler(callback) {
+        let pid = 0;
+        td.when(childProcess.spawn(clPath, td.matchers.anything(), td.matchers.anything()))
+            .thenDo((compiler, args) => {
+                const child = new EventEmitter();
+                child.pid = ++pid;
+                child.stdout = new EventEmitter();
+                child.stderr = new EventEmitter();
+                // run once the caller has attached listeners to the process
+                Promise.resolve().then(() => callback(args, child)).then((exitCode) => {
+                    if (exitCode !== undefined) {
+                        child.emit("close", exitCode);
+                    }
+                });
+                return child;
+            });
+    }
+
+    beforeEach(() => {
+        childProcess = td.replace("child_process");
+        exec = td.replace('@actions/exec');
+        action = rewire("../index.js");
+
+        AnalysisResultCache = action.__get__("AnalysisResultCache");
+        AnalysisRunOptions = action.__get__("AnalysisRunOptions");
+        AnalyzeCommand = action.__get__("AnalyzeCommand");
+        runAnalysis = action.__get__("runAnalysis");
+        selectChangedCommands = action.__get__("selectChangedCommands");
+    });
+
+    afterEach(() => {
+        delete process.env["INPUT_PARALLELJOBS"];
+        delete process.env["INPUT_FILETIMEOUTSECONDS"];
+        td.reset();
+    });
+
+    it("default parallelJobs", () => {
+        delete process.env["INPUT_PARALLELJOBS"];
+        new AnalysisRunOptions().parallelJobs.should.be.above(0);
+    });
+
+    it("invalid parallelJobs", () => {
+        expect(() => createRunOptions("zero")).to.throw("parallelJobs must be a positive integer.");
+        expect(() => createRunOptions(0)).to.throw("parallelJobs must be a positive integer.");
+    });
+
+    it("limit concurrent jobs", async () => {
+        let running = 0;
+        let maxRunning = 0;
+        fakeCompiler(async () => {
+            maxRunning = Math.max(maxRunning, ++running);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            running--;
+            return 0;
+        });
+
+        const commands = createCommands(["a.cpp", "b.cpp", "c.cpp", "d.cpp", "e.cpp"]);
+        const runResults = await runAnalysis(commands, cmakeBuildDir, createRunOptions(2));
+        runResults.failedSourceFiles.length.should.equal(0);
+        runResults.completedCommands.length.should.equal(5);
+        maxRunning.should.equal(2);
+    });
+
+    it("failed files keep command order", async () => {
+        fakeCompiler(async (args, child) => {
+            child.stderr.emit("data", Buffer.from(`error in ${args[0]}`));
+            // finish later files first to ensure ordering is not completion based
+            await new Promise((resolve) => setTimeout(resolve, args[0] == "a.cpp" ? 10 : 0));
+            return args[0] == "b.cpp" ? 0 : 2;
+        });
+
+        const commands = createCommands(["a.cpp", "b.cpp", "c.cpp"]);
+        const runResults = await runAnalysis(commands, cmakeBuildDir, createRunOptions(3));
+        runResults.failedSourceFiles.should.deep.equal(["a.cpp", "c.cpp"]);
+        runResults.completedCommands.map((command) => command.source).should.deep.equal(["b.cpp"]);
+        runResults.compileFailures.map((failure) => `${failure.source}:${failure.exitCode}:${failure.output}`)
+            .should.deep.equal(["a.cpp:2:error in a.cpp", "c.cpp:2:error in c.cpp"]);
+    });
+
+    it("timed out files are stopped and reported", async () => {
+        const children = {};
+        fakeCompiler((args, child) => {
+            children[child.pid] = child;
+            return args[0] == "hang.cpp" ? undefined : 0;
+        });
+        td.when(exec.exec("taskkill", td.matchers.contains("/T"), td.matchers.anything()))
+            .thenDo(async (tool, args) => {
+                children[args[1]].emit("close", 1);
+                return 0;
+            });
+
+        const commands = createCommands(["a.cpp", "hang.cpp", "b.cpp"]);
+        const runOptions = createRunOptions(1, 1);
+        const runResults = await runAnalysis(commands, cmakeBuildDir, runOptions);
+        runResults.timedOutSourceFiles.should.deep.equal(["hang.cpp"]);
+        runResults.failedSourceFiles.length.should.equal(0);
+        runResults.completedCommands.map((command) => command.source).should.deep.equal(["a.cpp", "b.cpp"]);
+    }).timeout(5000);
+
+    it("invalid fileTimeoutSeconds", () => {
+        expect(() => createRunOptions(1, "-5")).to.throw("fileTimeoutSeconds must be a positive integer.");
+    });
+
+    it("record included files", async () => {
+        fakeCompiler((args, child) => {
+            child.stdout.emit("data", Buffer.from(
+                `${args[0]}\r\nNote: including file: C:\\src\\a.h\r\nNote: including file:  C:\\src\\b.h\r\n`));
+            return 0;
+        });
+
+        const runResults = await runAnalysis(createCommands(["a.cpp"]), cmakeBuildDir, createRunOptions(1));
+        runResults.dependencies["a.cpp"].should.deep.equal(
+            [path.normalize("C:\\src\\a.h"), path.normalize("C:\\src\\b.h")]);
+    });
+
+    describe("changed files", () => {
+        const dependencies = {
+            "a.cpp": ["a.h", "common.h"],
+            "b.cpp": ["b.h", "common.h"]
+        };
+
+        function selectedSources(changedFiles, deps = dependencies) {
+            const commands = createCommands(["a.cpp", "b.cpp", "c.cpp"]);
+            return selectChangedCommands(commands, changedFiles, deps).map((command) => command.source);
+        }
+
+        it("changed sources", () => {
+            selectedSources(["A.cpp"]).should.deep.equal(["a.cpp"]);
+        });
+
+        it("changed headers", () => {
+            selectedSources(["b.h"]).should.deep.equal(["b.cpp", "c.cpp"]);
+            selectedSources(["common.h"]).should.deep.equal(["a.cpp", "b.cpp", "c.cpp"]);
+        });
+
+        it("no dependency information", () => {
+            selectedSources(["c.cpp"], {}).should.deep.equal(["c.cpp"]);
+            selectedSources(["a.h"], {}).should.deep.equal(["a.cpp", "b.cpp", "c.cpp"]);
+        });
+
+        it("unrelated changes", () => {
+            const allDependencies = Object.assign({ "c.cpp": [] }, dependencies);
+            selectedSources(["README.md"], allDependencies).length.should.equal(0);
+        });
+
+        it("requires base or file list", () => {
+            process.env["INPUT_CHANGEDFILESONLY"] = "true";
+            try {
+                expect(() => new AnalysisRunOptions()).to.throw(
+                    "changedFilesOnly requires either changedFilesBase or changedFiles to be set.");
+            } finally {
+                delete process.env["INPUT_CHANGEDFILESONLY"];
+            }
+        });
+    });
+
+    describe("result cache", () => {
+        let tempDir;
+        let cacheDir;
+        let command;
+        let header;
+
+        beforeEach(() => {
+            tempDir = tmp.dirSync({ unsafeCleanup: true });
+            cacheDir = path.join(tempDir.name, "cache");
+            fs.mkdirSync(cacheDir);
+
+            const source = path.join(tempDir.name, "a.cpp");
+            header = path.join(tempDir.name, "a.h");
+            fs.writeFileSync(source, '#include "a.h"');
+            fs.writeFileSync(header, "int a;");
+
+            const sarifLog = path.join(tempDir.name, "a.sarif");
+            fs.writeFileSync(sarifLog, "{}");
+            command = new AnalyzeCommand(source, clPath, ["/W4", source, `/analyze:log${sarifLog}`], {}, sarifLog);
+        });
+
+        afterEach(() => {
+            tempDir.removeCallback();
+        });
+
+        it("reuse unchanged results", () => {
+            const resultCache = new AnalysisResultCache(cacheDir);
+            expect(resultCache.find(command)).to.be.undefined;
+            resultCache.store(command, [header]);
+
+            // temporary SARIF log path changes every run
+            const nextCommand = new AnalyzeCommand(command.source, clPath,
+                ["/W4", command.source, "/analyze:logother.sarif"], {}, "other.sarif");
+            const cachedLog = resultCache.find(nextCommand);
+            expect(cachedLog).to.not.be.undefined;
+            fs.readFileSync(cachedLog, "utf-8").should.equal("{}");
+            resultCache.hits.should.equal(1);
+            resultCache.misses.should.equal(1);
+        });
+
+        it("invalidate on changes", () => {
+            const resultCache = new AnalysisResultCache(cacheDir);
+            resultCache.store(command, [header]);
+
+            const changedArgs = new AnalyzeCommand(command.source, clPath,
+                ["/W3", command.source], {}, command.sarifLog);
+            expect(resultCache.find(changedArgs)).to.be.undefined;
+
+            fs.writeFileSync(header, "int b;");
+            expect(resultCache.find(command)).to.be.undefined;
+            resultCache.misses.should.equal(2);
+        });
+
+        it("invalidate on included ruleset changes", () => {
+            const writeRuleset = (filename, contents) => fs.writeFileSync(path.join(tempDir.name, filename), [
+                '<?xml version="1.0" encoding="utf-8"?>',
+                '<RuleSet Name="Test" ToolsVersion="16.0">'
+            ].concat(contents, ["</RuleSet>"]).join("\n"));
+            writeRuleset("AllRules.ruleset", ['  <Rules AnalyzerId="Microsoft.Analyzers.NativeCodeAnalysis">',
+                '    <Rule Id="C6001" Action="Warning" />', "  </Rules>"]);
+            writeRuleset("Custom.ruleset", ['  <Include Path="AllRules.ruleset" Action="Default" />']);
+            const rulesetPath = path.join(tempDir.name, "Custom.ruleset");
+            const ruleset = action.__get__("resolveRuleset")(rulesetPath, undefined);
+            const rulesetCommand = new AnalyzeCommand(command.source, clPath,
+                command.args.concat([`/analyze:ruleset${rulesetPath}`]), {}, command.sarifLog);
+
+            new AnalysisResultCache(cacheDir, [ruleset]).store(rulesetCommand, [header]);
+            expect(new AnalysisResultCache(cacheDir, [ruleset]).find(rulesetCommand)).to.not.be.undefined;
+
+            writeRuleset("AllRules.ruleset", []);
+            expect(new AnalysisResultCache(cacheDir, [ruleset]).find(rulesetCommand)).to.be.undefined;
+        });
+
+        it("reuse results with a regenerated ruleset", () => {
+            const ResolvedRuleset = action.__get__("ResolvedRuleset");
+            const rulesetCommand = (rulesetPath) => new AnalyzeCommand(command.source, clPath,
+                command.args.concat([`/analyze:ruleset${rulesetPath}`]), {}, command.sarifLog);
+            const generatedCache = (rulesetPath) => {
+                fs.writeFileSync(rulesetPath, "<RuleSet />");
+                const ruleset = new ResolvedRuleset(rulesetPath);
+                ruleset.isGenerated = true;
+                return new AnalysisResultCache(cacheDir, [ruleset]);
+            };
+
+            const firstPath = path.join(tempDir.name, "first.ruleset");
+            generatedCache(firstPath).store(rulesetCommand(firstPath), [header]);
+            const secondPath = path.join(tempDir.name, "second.ruleset");
+            expect(generatedCache(secondPath).find(rulesetCommand(secondPath))).to.not.be.undefined;
+
+            fs.writeFileSync(secondPath, "<RuleSet Name=\"Changed\" />");
+            const ruleset = new ResolvedRuleset(secondPath);
+            ruleset.isGenerated = true;
+            expect(new AnalysisResultCache(cacheDir, [ruleset]).find(rulesetCommand(secondPath))).to.be.undefined;
+        });
+
+        it("invalidate on compiler update", () => {
+            const compiler = path.join(tempDir.name, "bin", "cl.exe");
+            fs.mkdirSync(path.dirname(compiler));
+            fs.writeFileSync(compiler, "14.29");
+            const compilerCommand = new AnalyzeCommand(command.source, compiler, command.args, {}, command.sarifLog);
+            new AnalysisResultCache(cacheDir).store(compilerCommand, [header]);
+            expect(new AnalysisResultCache(cacheDir).find(compilerCommand)).to.not.be.undefined;
+
+            // same path as before but updated in place
+            fs.writeFileSync(path.join(path.dirname(compiler), "c1xx.dll"), "14.30");
+            expect(new AnalysisResultCache(cacheDir).find(compilerCommand)).to.be.undefined;
+        });
+
+        it("prune removed sources", () => {
+            const otherSource = path.join(tempDir.name, "b.cpp");
+            fs.writeFileSync(otherSource, "int b;");
+            const otherCommand = new AnalyzeCommand(otherSource, clPath, ["/W4", otherSource], {}, command.sarifLog);
+            const unrelatedFile = path.join(cacheDir, "README.md");
+            fs.writeFileSync(unrelatedFile, "");
+
+            const resultCache = new AnalysisResultCache(cacheDir);
+            resultCache.store(command, [header]);
+            resultCache.store(otherCommand, []);
+            fs.readdirSync(cacheDir).length.should.equal(5);
+
+            resultCache.prune([command]);
+            resultCache.pruned.should.equal(1);
+            fs.readdirSync(cacheDir).length.should.equal(3);
+            fs.existsSync(unrelatedFile).should.be.true;
+            expect(resultCache.find(command)).to.not.be.undefined;
+            expect(resultCache.find(otherCommand)).to.be.undefined;
+        });
+    });
+});
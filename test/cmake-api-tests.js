@@ -31,6 +31,7 @@ const cmakeIndexReply = "index-1.json";
 const cmakeCacheReply = "cache-1.json";
 const cmakeCodemodelReply = "codemodel-1.json";
 const cmakeToolchainsReply = "toolchains-1.json";
+const cmakeFilesReply = "cmakeFiles-1.json";
 const cmakeTarget1Reply = "target-1.json";
 const cmakeTarget2Reply = "target-2.json";
 
@@ -55,9 +56,10 @@ defaultFileContents[cmakeIndexReply] = {
         "client-msvc-ca-action" : {
             "query.json" : {
                 "responses": [
-                    { "kind" : "cache", "jsonFile" : cmakeCacheReply },
-                    { "kind" : "codemodel", "jsonFile" : cmakeCodemodelReply },
-                    { "kind" : "toolchains", "jsonFile" : cmakeToolchainsReply }
+                    { "kind" : "cache", "version": { "major": 2, "minor": 0 }, "jsonFile" : cmakeCacheReply },
+                    { "kind" : "codemodel", "version": { "major": 2, "minor": 2 }, "jsonFile" : cmakeCodemodelReply },
+                    { "kind" : "toolchains", "version": { "major": 1, "minor": 0 }, "jsonFile" : cmakeToolchainsReply },
+                    { "kind" : "cmakeFiles", "version": { "major": 1, "minor": 0 }, "jsonFile" : cmakeFilesReply }
                 ]
             }
         }
@@ -103,6 +105,18 @@ defaultFileContents[cmakeCodemodelReply] = {
     ]
 };
 
+defaultFileContents[cmakeFilesReply] = {
+    "kind": "cmakeFiles",
+    "paths": {
+        "build": cmakeBuildDir,
+        "source": cmakeSrcDir
+    },
+    "inputs": [
+        { "path": "CMakeLists.txt" },
+        { "path": "cmake/options.cmake" }
+    ]
+};
+
 const CLangIndex = 0;
 const CXXLangIndex = 1;
 defaultFileContents[cmakeCacheReply] = {
@@ -224,6 +238,9 @@ describe("CMakeApi", () => {
     let fs;
     let io;
 
+    let tmp;
+
+    let createAnalysisCommands;
     let getApiReplyIndex;
     let loadCMakeApiReplies;
     let loadToolchainMap;
@@ -269,8 +286,10 @@ describe("CMakeApi", () => {
         exec = td.replace('@actions/exec');
         fs = td.replace("fs");
         io = td.replace('@actions/io');
+        tmp = td.replace('tmp');
         action = rewire("../index.js");
 
+        createAnalysisCommands = action.__get__("createAnalysisCommands");
         getApiReplyIndex = action.__get__("getApiReplyIndex");
         loadCMakeApiReplies = action.__get__("loadCMakeApiReplies");
         loadToolchainMap = action.__get__("loadToolchainMap");
@@ -282,6 +301,8 @@ describe("CMakeApi", () => {
         td.when(fs.existsSync(cmakeApiDir)).thenReturn(true);
         td.when(fs.existsSync(cmakeQueryDir)).thenReturn(true);
         td.when(fs.existsSync(cmakeReplyDir)).thenReturn(true);
+        // reply files are always newer than the query
+        td.when(fs.statSync(td.matchers.anything())).thenReturn({ mtimeMs: 0 });
         // cmakeBuildDir must be non-empty
         td.when(fs.readdirSync(cmakeBuildDir)).thenReturn([".cmake"]);
 
@@ -326,12 +347,318 @@ describe("CMakeApi", () => {
         compileCommands.length.should.equal(1);
     });
 
+    it("multiple configurations", async () => {
+        const replyIndexInfo = getApiReplyIndex(cmakeApiDir);
+        for (const buildConfiguration of ["Regular;OnlyTarget2", "*"]) {
+            const compileCommands = loadCompileCommands(replyIndexInfo, buildConfiguration, []);
+            validateCompileCommands(compileCommands);
+            // target2 is identical in both configurations and only analyzed once
+            compileCommands.length.should.equal(totalCompileCommands);
+            for (const command of compileCommands) {
+                command.configurations.should.deep.equal(path.basename(command.source) == "file4.cpp" ?
+                    ["Regular", "OnlyTarget2"] : ["Regular"]);
+            }
+        }
+
+        expect(() => loadCompileCommands(replyIndexInfo, "Regular;Missing", [])).to.throw(
+            "Unknown configurations: Missing");
+    });
+
+    it("filter targets by name and type", async () => {
+        editReplyContents(cmakeTarget1Reply, (reply) => {
+            reply.name = "app";
+            reply.type = "EXECUTABLE";
+        });
+        editReplyContents(cmakeTarget2Reply, (reply) => {
+            reply.name = "app_tests";
+            reply.type = "STATIC_LIBRARY";
+        });
+
+        const TargetFilter = action.__get__("TargetFilter");
+        const replyIndexInfo = getApiReplyIndex(cmakeApiDir);
+        const getTargets = (targetFilter) => [...new Set(
+            loadCompileCommands(replyIndexInfo, "Regular", [], targetFilter).map((command) => command.target))];
+
+        getTargets(new TargetFilter()).should.deep.equal(["app", "app_tests"]);
+        getTargets(new TargetFilter(["app"])).should.deep.equal(["app"]);
+        getTargets(new TargetFilter(["app*"], ["*_tests"])).should.deep.equal(["app"]);
+        getTargets(new TargetFilter([], [], ["static_library"])).should.deep.equal(["app_tests"]);
+        expect(() => new TargetFilter([], [], ["LIBRARY"])).to.throw("Unknown target type 'LIBRARY'");
+    });
+
+    it("filter source files", async () => {
+        editReplyContents(cmakeTarget1Reply, (reply) => {
+            reply.sources[2].isGenerated = true;
+        });
+
+        const SourceFilter = action.__get__("SourceFilter");
+        const filterCompileCommands = action.__get__("filterCompileCommands");
+        const compileCommands = loadCompileCommands(getApiReplyIndex(cmakeApiDir), "Regular", []);
+        const getSources = (sourceFilter) => filterCompileCommands(compileCommands, sourceFilter)
+            .map((command) => path.basename(command.source));
+
+        getSources(new SourceFilter()).should.deep.equal(["file1.cpp", "file2.c", "file4.cpp"]);
+        getSources(new SourceFilter([], [], true)).should.deep.equal(
+            ["file1.cpp", "file3.cxx", "file2.c", "file4.cpp"]);
+        getSources(new SourceFilter(["**/*.cpp"])).should.deep.equal(["file1.cpp", "file4.cpp"]);
+        getSources(new SourceFilter([], ["**/file1.*", "**/*.c"])).should.deep.equal(["file4.cpp"]);
+    });
+
     it("loadToolchainMap", async () => {
         const replyIndexInfo = getApiReplyIndex(cmakeApiDir);
         const toolchainMap = loadToolchainMap(replyIndexInfo);
         toolchainMap.should.have.keys(["C", "CXX"]);
     });
 
+    const pchHeader = "path/to/cmake/build/CMakeFiles/target1.dir/cmake_pch.hxx";
+    const pchFile = "path/to/cmake/build/target1.dir/Regular/cmake_pch.pch";
+
+    // Build the sources of target1 with a precompiled header created from a generated cmake_pch.cxx.
+    function addPrecompiledHeader() {
+        editReplyContents(cmakeTarget1Reply, (reply) => {
+            reply.name = "target1";
+            for (const group of reply.compileGroups) {
+                group.compileCommandFragments.push({ "fragment": `/Yu"${pchHeader}" /Fp${pchFile}` });
+                group.precompileHeaders = [{ "header": "regular/include/pch.h" }];
+            }
+            reply.compileGroups[0].sourceIndexes.push(3);
+            reply.compileGroups.push({
+                "compileCommandFragments": [
+                    { "fragment": sharedArgs },
+                    { "fragment": `/Yc"${pchHeader}" /Fp${pchFile}` }
+                ],
+                "language": "CXX",
+                "precompileHeaders": [{ "header": "regular/include/pch.h" }],
+                "sourceIndexes": [ 4 ]
+            });
+            reply.sources.push({ "path": "src/file5.cpp" });
+            reply.sources.push({ "path": "build/target1.dir/Regular/cmake_pch.cxx", "isGenerated": true });
+        });
+    }
+
+    it("precompiled headers", async () => {
+        addPrecompiledHeader();
+        let tempIndex = 0;
+        td.when(tmp.fileSync(td.matchers.anything())).thenDo((options) => {
+            return { name: `temp${tempIndex++}${options.postfix}` };
+        });
+        action.__set__("loadCMakeApiReplies", async () => getApiReplyIndex(cmakeApiDir));
+        action.__set__("getCommonAnalyzeArguments", () => ["/analyze:only"]);
+        action.__set__("getCommonAnalyzeEnvironment", async () => ({}));
+
+        const options = {
+            buildConfiguration: "Regular",
+            ignoredTargetPaths: [],
+            ignoredIncludePaths: [],
+            usePrecompiledHeaders: true
+        };
+        const analyzeCommands = (await createAnalysisCommands(cmakeBuildDir, options)).analyzeCommands;
+        analyzeCommands.length.should.equal(totalCompileCommands + 1);
+
+        const pchCommands = action.__get__("getPrecompiledHeaderCommands")(analyzeCommands);
+        pchCommands.length.should.equal(1);
+        const pch = pchCommands[0];
+        pch.target.should.equal("target1");
+        pch.headers.should.deep.equal(["regular/include/pch.h"]);
+        pch.args.should.contain(`/Yc${pchHeader}`);
+        pch.args.should.contain(`/Fp${pch.tempFiles[0]}`);
+        pch.args.should.contain("/analyze");
+        pch.args.should.not.contain("/analyze:only");
+
+        for (const command of analyzeCommands) {
+            command.args.should.not.contain(`/Fp${pchFile}`);
+            if (command.precompiledHeader) {
+                command.precompiledHeader.should.equal(pch);
+                command.args.should.contain(`/Yu${pchHeader}`);
+                command.args.should.contain(`/Fp${pch.tempFiles[0]}`);
+            } else {
+                // C sources do not share the CXX precompiled header and target2 has none
+                ["file2.c", "file4.cpp"].should.contain(path.basename(command.source));
+                command.args.should.not.contain(`/Yu${pchHeader}`);
+            }
+        }
+
+        options.usePrecompiledHeaders = false;
+        const noPchCommands = (await createAnalysisCommands(cmakeBuildDir, options)).analyzeCommands;
+        noPchCommands.length.should.equal(totalCompileCommands + 1);
+        for (const command of noPchCommands) {
+            expect(command.precompiledHeader).to.be.undefined;
+            command.args.some((arg) => arg.startsWith("/Yu") || arg.startsWith("/Fp")).should.be.false;
+        }
+    });
+
+    it("precompiled headers with argument overrides", async () => {
+        addPrecompiledHeader();
+        td.when(tmp.fileSync(td.matchers.anything())).thenDo((options) => ({ name: `temp${options.postfix}` }));
+        action.__set__("loadCMakeApiReplies", async () => getApiReplyIndex(cmakeApiDir));
+        action.__set__("getCommonAnalyzeArguments", () => ["/analyze:only"]);
+        action.__set__("getCommonAnalyzeEnvironment", async () => ({}));
+        action.__set__("info", () => {});
+
+        const ArgumentOverride = action.__get__("ArgumentOverride");
+        const options = {
+            buildConfiguration: "Regular",
+            ignoredTargetPaths: [],
+            ignoredIncludePaths: [],
+            usePrecompiledHeaders: true,
+            argumentOverrides: [
+                new ArgumentOverride({ "target": "target1", "args": ["/DTARGET"] }, "override 0"),
+                new ArgumentOverride({ "source": "**/file1.cpp", "args": ["/DTEST"] }, "override 1")
+            ]
+        };
+        const analyzeCommands = (await createAnalysisCommands(cmakeBuildDir, options)).analyzeCommands;
+        const getCommand = (filename) => analyzeCommands.find((command) => path.basename(command.source) == filename);
+
+        const pch = action.__get__("getPrecompiledHeaderCommands")(analyzeCommands)[0];
+        pch.args.should.contain("/DTARGET");
+        getCommand("file5.cpp").precompiledHeader.should.equal(pch);
+        getCommand("file5.cpp").args.should.contain(`/Yu${pchHeader}`);
+
+        // file1.cpp is built with /DTEST, which the precompiled header is not
+        expect(getCommand("file1.cpp").precompiledHeader).to.be.undefined;
+        getCommand("file1.cpp").args.some((arg) => arg.startsWith("/Yu") || arg.startsWith("/Fp")).should.be.false;
+        getCommand("file1.cpp").args.slice(-2).should.deep.equal(["/DTARGET", "/DTEST"]);
+    });
+
+    it("argument overrides", async () => {
+        editReplyContents(cmakeTarget2Reply, (reply) => {
+            reply.name = "heavy";
+        });
+
+        td.when(tmp.fileSync(td.matchers.anything())).thenDo((options) => ({ name: `temp${options.postfix}` }));
+        action.__set__("loadCMakeApiReplies", async () => getApiReplyIndex(cmakeApiDir));
+        action.__set__("getCommonAnalyzeArguments", () => ["/analyze:only"]);
+        action.__set__("getCommonAnalyzeEnvironment", async () => ({ INCLUDE: "common" }));
+
+        const ArgumentOverride = action.__get__("ArgumentOverride");
+        const options = {
+            buildConfiguration: "Regular",
+            ignoredTargetPaths: [],
+            ignoredIncludePaths: [],
+            argumentOverrides: [
+                new ArgumentOverride({ "language": "C", "args": "/wd4996" }, "override 0"),
+                new ArgumentOverride({ "target": "heav*", "configuration": "regular",
+                    "args": ["/analyze:max_paths", "512"], "env": { "INCLUDE": "heavy" } }, "override 1"),
+                new ArgumentOverride({ "source": "**/file1.cpp", "args": ["/DTEST"] }, "override 2"),
+                new ArgumentOverride({ "configuration": "Other", "args": ["/DUNUSED"] }, "override 3")
+            ]
+        };
+        const analyzeCommands = (await createAnalysisCommands(cmakeBuildDir, options)).analyzeCommands;
+        const getCommand = (filename) => analyzeCommands.find((command) => path.basename(command.source) == filename);
+
+        getCommand("file1.cpp").args.slice(-1).should.deep.equal(["/DTEST"]);
+        getCommand("file2.c").args.slice(-2).should.deep.equal(["/analyze:only", "/wd4996"]);
+        getCommand("file4.cpp").args.slice(-2).should.deep.equal(["/analyze:max_paths", "512"]);
+        getCommand("file4.cpp").env.should.deep.equal({ INCLUDE: "heavy" });
+        getCommand("file1.cpp").env.should.deep.equal({ INCLUDE: "common" });
+        analyzeCommands.some((command) => command.args.includes("/DUNUSED")).should.be.false;
+        options.argumentOverrides.map((override) => override.matchCount).should.deep.equal([1, 1, 1, 0]);
+
+        expect(() => new ArgumentOverride({ "language": "ASM" }, "override")).to.throw(
+            "override has unknown language 'ASM', expected C or CXX.");
+        expect(() => new ArgumentOverride({ "define": "A" }, "override")).to.throw(
+            "override has unknown property 'define'");
+    });
+
+    describe("cmake options", () => {
+        const inputs = ["CMAKEPATH", "RECONFIGURE", "CONFIGUREPROJECT", "CMAKEGENERATOR", "CMAKECACHEVARIABLES"];
+        let CMakeOptions;
+
+        beforeEach(() => {
+            CMakeOptions = action.__get__("CMakeOptions");
+        });
+
+        afterEach(() => {
+            for (const input of inputs) {
+                delete process.env[`INPUT_${input}`];
+            }
+        });
+
+        it("configure project arguments", async () => {
+            process.env["INPUT_CONFIGUREPROJECT"] = "true";
+            process.env["INPUT_CMAKEGENERATOR"] = "Ninja";
+            process.env["INPUT_CMAKECACHEVARIABLES"] = "A=1\r\n B:BOOL=ON\n\nCMAKE_PREFIX_PATH=C:/a;C:/b";
+            const getCMakeConfigureArgs = action.__get__("getCMakeConfigureArgs");
+            getCMakeConfigureArgs(cmakeBuildDir, new CMakeOptions(cmakeSrcDir, "ci")).should.deep.equal(
+                ["-S", cmakeSrcDir, "-B", cmakeBuildDir, "--preset=ci", "-G", "Ninja", "-DA=1", "-DB:BOOL=ON",
+                    "-DCMAKE_PREFIX_PATH=C:/a;C:/b"]);
+
+            delete process.env["INPUT_CONFIGUREPROJECT"];
+            getCMakeConfigureArgs(cmakeBuildDir, new CMakeOptions(cmakeSrcDir)).should.deep.equal([cmakeBuildDir]);
+        });
+
+        it("invalid options", async () => {
+            process.env["INPUT_RECONFIGURE"] = "sometimes";
+            expect(() => new CMakeOptions()).to.throw("Unknown reconfigure mode 'sometimes'");
+
+            process.env["INPUT_RECONFIGURE"] = "never";
+            process.env["INPUT_CONFIGUREPROJECT"] = "true";
+            expect(() => new CMakeOptions(cmakeSrcDir)).to.throw(
+                "configureProject can not be used when reconfigure is 'never'.");
+
+            process.env["INPUT_RECONFIGURE"] = "always";
+            process.env["INPUT_CMAKECACHEVARIABLES"] = "=1";
+            expect(() => new CMakeOptions(cmakeSrcDir)).to.throw("Invalid CMake cache variable '=1'");
+        });
+
+        it("changed cmake inputs", async () => {
+            const replyIndexInfo = getApiReplyIndex(cmakeApiDir);
+            const findChangedCMakeInput = action.__get__("findChangedCMakeInput");
+            const cmakeListsPath = path.join(cmakeSrcDir, "CMakeLists.txt");
+            const cmakeCachePath = path.join(cmakeBuildDir, "CMakeCache.txt");
+            td.when(fs.statSync(path.join(cmakeReplyDir, cmakeIndexReply))).thenReturn({ mtimeMs: 10 });
+            td.when(fs.existsSync(cmakeListsPath)).thenReturn(true);
+            td.when(fs.existsSync(cmakeCachePath)).thenReturn(true);
+            td.when(fs.statSync(cmakeListsPath)).thenReturn({ mtimeMs: 5 });
+            td.when(fs.statSync(cmakeCachePath)).thenReturn({ mtimeMs: 8 });
+            expect(findChangedCMakeInput(replyIndexInfo, cmakeBuildDir)).to.be.undefined;
+
+            td.when(fs.statSync(cmakeCachePath)).thenReturn({ mtimeMs: 11 });
+            findChangedCMakeInput(replyIndexInfo, cmakeBuildDir).should.equal(cmakeCachePath);
+            td.when(fs.statSync(cmakeListsPath)).thenReturn({ mtimeMs: 12 });
+            findChangedCMakeInput(replyIndexInfo, cmakeBuildDir).should.equal(cmakeListsPath);
+        });
+
+        it("reply must be generated by this run", async () => {
+            process.env["INPUT_RECONFIGURE"] = "always";
+            // same as cmakeApiDir on Windows
+            const apiDir = path.join(cmakeBuildDir, ".cmake/api/v1");
+            const queryFile = path.join(apiDir, "query", "client-msvc-ca-action", "query.json");
+            td.when(fs.existsSync(queryFile)).thenReturn(true);
+            td.when(fs.readFileSync(queryFile, "utf-8")).thenReturn(JSON.stringify({
+                "requests": action.__get__("CMakeApiRequests")
+            }));
+            // CMake fails to write a new reply, leaving the one from an earlier run
+            td.when(fs.existsSync(path.join(apiDir, "reply"))).thenReturn(true);
+            td.when(fs.readdirSync(path.join(apiDir, "reply"))).thenReturn([cmakeIndexReply]);
+            td.when(fs.statSync(path.join(apiDir, "reply", cmakeIndexReply))).thenReturn({ mtimeMs: 3 });
+            td.when(fs.statSync(queryFile)).thenReturn({ mtimeMs: 1 });
+            td.when(fs.utimesSync(queryFile, td.matchers.isA(Date), td.matchers.isA(Date))).thenDo(() => {
+                td.when(fs.statSync(queryFile)).thenReturn({ mtimeMs: 5 });
+            });
+
+            await expect(loadCMakeApiReplies(cmakeBuildDir, new CMakeOptions())).to.be.rejectedWith(
+                "CMake API index reply file is older than the query");
+            td.verify(fs.writeFileSync(), { times: 0, ignoreExtraArgs: true });
+        });
+
+        it("reconfigure never does not run cmake", async () => {
+            process.env["INPUT_RECONFIGURE"] = "never";
+            td.when(fs.existsSync(cmakeReplyDir)).thenReturn(false);
+            await expect(loadCMakeApiReplies(cmakeBuildDir, new CMakeOptions())).to.be.rejectedWith(
+                "Failed to find CMake API index reply file.");
+            td.verify(exec.exec(), { times: 0, ignoreExtraArgs: true });
+        });
+
+        it("run cmakePath", async () => {
+            const otherCMakePath = path.resolve("other", "cmake.exe");
+            process.env["INPUT_CMAKEPATH"] = otherCMakePath;
+            td.when(fs.existsSync(otherCMakePath)).thenReturn(true);
+            td.when(exec.exec(otherCMakePath, [cmakeBuildDir])).thenReject(new Error("other cmake"));
+            await expect(loadCMakeApiReplies(cmakeBuildDir, new CMakeOptions())).to.be.rejectedWith("other cmake");
+        });
+    });
+
     // only testing user errors, assume format of query/reply files is valid
     describe("errors", () => {
         it("empty buildRoot", async () => {
@@ -370,6 +697,58 @@ describe("CMakeApi", () => {
                 "Action requires CMake version >= 3.20.5");
         });
 
+        it("cmake version checked before query reply", async () => {
+            editReplyContents(cmakeIndexReply, (reply) => {
+                reply.cmake.version.string = "3.14.7";
+                delete reply.reply["client-msvc-ca-action"];
+            });
+            expect(() => getApiReplyIndex(cmakeApiDir)).to.throw("Action requires CMake version >= 3.20.5");
+        });
+
+        it("cmake version compared numerically", async () => {
+            const compareVersions = action.__get__("compareVersions");
+            compareVersions("3.100.0", "3.20.5").should.be.above(0);
+            compareVersions("3.20.4", "3.20.5").should.be.below(0);
+            compareVersions("3.20.5", "3.20.5").should.equal(0);
+        });
+
+        it("stale index reply", async () => {
+            td.when(fs.statSync(path.join(cmakeReplyDir, cmakeIndexReply))).thenReturn({ mtimeMs: 1 });
+            expect(() => getApiReplyIndex(cmakeApiDir, 2)).to.throw(
+                "CMake API index reply file is older than the query");
+            getApiReplyIndex(cmakeApiDir, 1).version.should.equal("3.21.6");
+        });
+
+        it("no reply to action query", async () => {
+            editReplyContents(cmakeIndexReply, (reply) => {
+                delete reply.reply["client-msvc-ca-action"];
+            });
+            expect(() => getApiReplyIndex(cmakeApiDir)).to.throw(
+                "CMake did not reply to the query of this action.");
+        });
+
+        it("error replies", async () => {
+            editReplyContents(cmakeIndexReply, (reply) => {
+                reply.reply["client-msvc-ca-action"]["query.json"].error = "bad query";
+            });
+            expect(() => getApiReplyIndex(cmakeApiDir)).to.throw(
+                "CMake failed to read the query of this action: bad query");
+
+            editReplyContents(cmakeIndexReply, (reply) => {
+                reply.reply["client-msvc-ca-action"]["query.json"].responses[2] = { "error": "unknown request" };
+            });
+            expect(() => getApiReplyIndex(cmakeApiDir)).to.throw(
+                "CMake failed to reply to the query of this action: unknown request");
+        });
+
+        it("unsupported response version", async () => {
+            editReplyContents(cmakeIndexReply, (reply) => {
+                reply.reply["client-msvc-ca-action"]["query.json"].responses[1].version.major = 3;
+            });
+            expect(() => getApiReplyIndex(cmakeApiDir)).to.throw(
+                "CMake replied with 'codemodel' object version 3.2, expected major version 2.");
+        });
+
         it("msvc for neither C/C++", async () => {
             editReplyContents(cmakeToolchainsReply, (reply) => {
                 reply.toolchains[CLangIndex].compiler.path = "clang.exe";
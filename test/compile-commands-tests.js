@@ -0,0 +1,171 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+const path = require("path");
+const rewire = require("rewire");
+const td = require("testdouble");
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+chai.should();
+
+const clPath = "C:/VS/root/Tools/MSVC/14.29.30133/bin/Hostx64/x64/cl.exe";
+const compileCommandsPath = path.resolve("path/to/build/compile_commands.json");
+const buildDir = path.resolve("path/to/build");
+const srcDir = path.resolve("path/to/src");
+
+const defaultEntries = [
+    {
+        "directory": buildDir,
+        "arguments": [ clPath, "/nologo", "/TP", "-DFOO=1", "/D", "BAR", "-I../src/include",
+            "/external:I", "../external", "/std:c++17", "/FoCMakeFiles/a.obj", "-c", "../src/a.cpp" ],
+        "file": "../src/a.cpp"
+    },
+    {
+        "directory": buildDir,
+        "command": `"${clPath}" /nologo /I"${srcDir}/with space" /DBAZ -c ${srcDir}/b.c`,
+        "file": `${srcDir}/b.c`
+    },
+    {
+        "directory": buildDir,
+        "command": `clang++ -c ${srcDir}/c.cpp`,
+        "file": `${srcDir}/c.cpp`
+    }
+];
+
+describe("CompilationDatabase", () => {
+    let action;
+    let fs;
+    let io;
+
+    let loadCompilationDatabase;
+    let loadCompilationDatabaseToolchainMap;
+    let loadCompilationDatabaseCommands;
+
+    function setEntries(entries) {
+        td.when(fs.readFileSync(compileCommandsPath)).thenReturn(JSON.stringify(entries));
+    }
+
+    beforeEach(() => {
+        fs = td.replace("fs");
+        io = td.replace('@actions/io');
+        action = rewire("../index.js");
+
+        loadCompilationDatabase = action.__get__("loadCompilationDatabase");
+        loadCompilationDatabaseToolchainMap = action.__get__("loadCompilationDatabaseToolchainMap");
+        loadCompilationDatabaseCommands = action.__get__("loadCompilationDatabaseCommands");
+
+        td.when(fs.existsSync(compileCommandsPath)).thenReturn(true);
+        setEntries(defaultEntries);
+        // Windows paths are not absolute when tests are run on other platforms
+        td.when(io.which(clPath, true)).thenResolve(clPath);
+    });
+
+    afterEach(() => {
+        td.reset();
+    });
+
+    it("load arguments and command entries", () => {
+        const entries = loadCompilationDatabase(compileCommandsPath);
+        entries.length.should.equal(2);
+
+        const compileCommands = loadCompilationDatabaseCommands(entries, []);
+        compileCommands.length.should.equal(2);
+
+        const cxxCommand = compileCommands[0];
+        cxxCommand.source.should.equal(path.join(srcDir, "a.cpp"));
+        cxxCommand.language.should.equal("CXX");
+        cxxCommand.directory.should.equal(buildDir);
+        cxxCommand.defines.should.deep.equal(["FOO=1", "BAR"]);
+        cxxCommand.includes.map((include) => include.path).should.deep.equal([
+            path.join(srcDir, "include"), path.resolve(buildDir, "../external")]);
+        cxxCommand.includes.map((include) => include.isSystem).should.deep.equal([false, true]);
+        cxxCommand.args.should.equal("/nologo /TP /std:c++17");
+
+        const cCommand = compileCommands[1];
+        cCommand.source.should.equal(path.join(srcDir, "b.c"));
+        cCommand.language.should.equal("C");
+        cCommand.defines.should.deep.equal(["BAZ"]);
+        cCommand.includes[0].path.should.equal(path.join(srcDir, "with space"));
+        cCommand.args.should.equal("/nologo");
+    });
+
+    it("match option names", () => {
+        setEntries([{
+            "directory": buildDir,
+            "arguments": [ clPath, "/DNDEBUG", "-Iinclude", "/Zi", "/Tp", "a.c", "/link", "/DEBUG",
+                "/INCREMENTAL:NO" ],
+            "file": "a.c"
+        }]);
+        const compileCommand = loadCompilationDatabaseCommands(loadCompilationDatabase(compileCommandsPath), [])[0];
+        compileCommand.language.should.equal("CXX");
+        compileCommand.defines.should.deep.equal(["NDEBUG"]);
+        compileCommand.includes.map((include) => include.path).should.deep.equal([path.join(buildDir, "include")]);
+        compileCommand.args.should.equal("/Zi /TP");
+
+        setEntries([{ "directory": buildDir, "command": `"${clPath}" /Tcb.c /Tcother.c`, "file": "b.c" }]);
+        expect(() => loadCompilationDatabaseCommands(loadCompilationDatabase(compileCommandsPath), [])).to.throw(
+            "Compilation database entry compiles multiple sources ('other.c')");
+    });
+
+    it("expand response files", () => {
+        const responseFile = path.join(buildDir, "a.rsp");
+        td.when(fs.readFileSync(responseFile, "utf8")).thenReturn(
+            '\uFEFF/DFOO\r\n/I "with space"\r\n@nested.rsp\r\n');
+        td.when(fs.readFileSync(path.join(buildDir, "nested.rsp"), "utf8")).thenReturn("/W4");
+        setEntries([{ "directory": buildDir, "command": `"${clPath}" /nologo @a.rsp -c a.cpp`, "file": "a.cpp" }]);
+        const compileCommand = loadCompilationDatabaseCommands(loadCompilationDatabase(compileCommandsPath), [])[0];
+        compileCommand.defines.should.deep.equal(["FOO"]);
+        compileCommand.includes[0].path.should.equal(path.join(buildDir, "with space"));
+        compileCommand.args.should.equal("/nologo /W4");
+
+        td.when(fs.readFileSync(path.join(buildDir, "nested.rsp"), "utf8")).thenReturn("@a.rsp");
+        expect(() => loadCompilationDatabase(compileCommandsPath)).to.throw("Response file includes itself");
+        td.when(fs.readFileSync(path.join(buildDir, "nested.rsp"), "utf8")).thenThrow(new Error("ENOENT"));
+        expect(() => loadCompilationDatabase(compileCommandsPath)).to.throw(
+            `Failed to read response file '${path.join(buildDir, "nested.rsp")}': Error: ENOENT`);
+    });
+
+    it("exclude sources", () => {
+        const entries = loadCompilationDatabase(compileCommandsPath);
+        loadCompilationDatabaseCommands(entries, [srcDir]).length.should.equal(0);
+    });
+
+    it("detect toolchains from entries", async () => {
+        const entries = loadCompilationDatabase(compileCommandsPath);
+        const toolchainMap = await loadCompilationDatabaseToolchainMap(entries);
+        toolchainMap.should.have.keys(["C", "CXX"]);
+        toolchainMap["CXX"].hostArch.should.equal("x64");
+        toolchainMap["CXX"].targetArch.should.equal("x64");
+    });
+
+    it("find compiler on PATH", async () => {
+        setEntries([{ "directory": buildDir, "command": "cl.exe /c a.cpp", "file": "a.cpp" }]);
+        td.when(io.which("cl.exe", true)).thenResolve(clPath);
+        const entries = loadCompilationDatabase(compileCommandsPath);
+        const toolchainMap = await loadCompilationDatabaseToolchainMap(entries);
+        toolchainMap["CXX"].path.should.equal(clPath);
+    });
+
+    describe("errors", () => {
+        it("missing compilation database", () => {
+            td.when(fs.existsSync(compileCommandsPath)).thenReturn(false);
+            expect(() => loadCompilationDatabase(compileCommandsPath)).to.throw(
+                "Failed to find compilation database:");
+        });
+
+        it("invalid entry", () => {
+            setEntries([{ "directory": buildDir, "file": "a.cpp" }]);
+            expect(() => loadCompilationDatabase(compileCommandsPath)).to.throw(
+                "Invalid compile_commands.json entry");
+        });
+
+        it("no MSVC entries", async () => {
+            setEntries([defaultEntries[2]]);
+            const entries = loadCompilationDatabase(compileCommandsPath);
+            await expect(loadCompilationDatabaseToolchainMap(entries)).to.be.rejectedWith(
+                "Action requires use of MSVC for either/both C or C++.");
+        });
+    });
+});
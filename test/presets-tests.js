@@ -0,0 +1,93 @@
+"use strict";
+
+const chai = require("chai");
+const fs = require("fs");
+const path = require("path");
+const rewire = require("rewire");
+const tmp = require("tmp");
+
+const expect = chai.expect;
+chai.should();
+
+describe("CMake presets", () => {
+    let action;
+    let sourceDir;
+    let loadCMakePresetInfo;
+
+    function writePresets(filename, presets) {
+        fs.writeFileSync(path.join(sourceDir.name, filename), JSON.stringify(Object.assign({ "version": 3 }, presets)));
+    }
+
+    beforeEach(() => {
+        action = rewire("../index.js");
+        action.__set__("info", () => {});
+        sourceDir = tmp.dirSync({ unsafeCleanup: true });
+        loadCMakePresetInfo = action.__get__("loadCMakePresetInfo");
+
+        writePresets("CMakePresets.json", {
+            "configurePresets": [
+                {
+                    "name": "base",
+                    "hidden": true,
+                    "binaryDir": "${sourceDir}/out/build/${presetName}",
+                    "cacheVariables": { "CMAKE_BUILD_TYPE": "Debug", "BASE": "ON" }
+                },
+                {
+                    "name": "release",
+                    "hidden": true,
+                    "cacheVariables": { "CMAKE_BUILD_TYPE": { "type": "STRING", "value": "Release" } }
+                },
+                { "name": "ci-msvc", "inherits": ["release", "base"] },
+                { "name": "ci-vs", "inherits": "base", "generator": "Visual Studio 17 2022",
+                    "binaryDir": "$env{BUILD_ROOT}/${generator}", "environment": { "BUILD_ROOT": "${sourceDir}/vs" } }
+            ],
+            "buildPresets": [
+                { "name": "ci-vs-debug", "configurePreset": "ci-vs", "configuration": "Debug" }
+            ],
+            "include": ["more/MorePresets.json"]
+        });
+
+        fs.mkdirSync(path.join(sourceDir.name, "more"));
+        writePresets("more/MorePresets.json", {
+            "configurePresets": [{ "name": "cycle", "inherits": "cycle", "binaryDir": "${fileDir}" }]
+        });
+    });
+
+    afterEach(() => {
+        sourceDir.removeCallback();
+    });
+
+    it("inherit binaryDir and configuration", () => {
+        const presetInfo = loadCMakePresetInfo(sourceDir.name, "ci-msvc", undefined);
+        presetInfo.binaryDir.should.equal(path.join(sourceDir.name, "out", "build", "ci-msvc"));
+        // earlier presets in the inherits list take precedence
+        presetInfo.configuration.should.equal("Release");
+    });
+
+    it("build preset", () => {
+        const presetInfo = loadCMakePresetInfo(sourceDir.name, undefined, "ci-vs-debug");
+        presetInfo.configurePreset.should.equal("ci-vs");
+        presetInfo.binaryDir.should.equal(path.join(sourceDir.name, "vs", "Visual Studio 17 2022"));
+        presetInfo.configuration.should.equal("Debug");
+
+        expect(() => loadCMakePresetInfo(sourceDir.name, "ci-msvc", "ci-vs-debug")).to.throw(
+            "Build preset 'ci-vs-debug' uses configure preset 'ci-vs' not 'ci-msvc'.");
+    });
+
+    it("user presets", () => {
+        writePresets("CMakeUserPresets.json", {
+            "configurePresets": [{ "name": "local", "inherits": "ci-msvc", "binaryDir": "build" }]
+        });
+        loadCMakePresetInfo(sourceDir.name, "local", undefined).binaryDir.should.equal(
+            path.join(sourceDir.name, "build"));
+    });
+
+    it("invalid presets", () => {
+        expect(() => loadCMakePresetInfo(sourceDir.name, "missing", undefined)).to.throw(
+            "Unable to find preset 'missing'.");
+        expect(() => loadCMakePresetInfo(sourceDir.name, "cycle", undefined)).to.throw(
+            "Preset inherits from itself: cycle -> cycle");
+        expect(() => loadCMakePresetInfo(path.join(sourceDir.name, "more", "none"), "ci-msvc", undefined))
+            .to.throw("Unable to find CMakePresets.json or CMakeUserPresets.json");
+    });
+});
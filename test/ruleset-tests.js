@@ -0,0 +1,210 @@
+"use strict";
+
+const chai = require("chai");
+const fs = require("fs");
+const path = require("path");
+const rewire = require("rewire");
+const tmp = require("tmp");
+
+const expect = chai.expect;
+chai.should();
+
+const sampleDir = path.join(__dirname, "sample");
+
+describe("Ruleset", () => {
+    let action;
+
+    beforeEach(() => {
+        action = rewire("../index.js");
+    });
+
+    afterEach(() => {
+        delete process.env["INPUT_ENABLERULES"];
+        delete process.env["INPUT_DISABLERULES"];
+    });
+
+    it("parse rule IDs", () => {
+        process.env["INPUT_ENABLERULES"] = "c26400; C6011;";
+        action.__get__("getRuleIdsInput")("enableRules").should.deep.equal(["C26400", "C6011"]);
+
+        process.env["INPUT_ENABLERULES"] = "C26400;Wall";
+        expect(() => action.__get__("getRuleIdsInput")("enableRules")).to.throw(
+            "Invalid warning ID 'WALL' in enableRules");
+    });
+
+    it("generate ruleset", () => {
+        const ruleset = action.__get__("createRuleset")("C:\\rules\\Base & More.ruleset", ["C26400"], ["C6011"]);
+        ruleset.should.contain('<Include Path="C:\\rules\\Base &amp; More.ruleset" Action="Default" />');
+        ruleset.should.contain('<Rule Id="C26400" Action="Warning" />');
+        ruleset.should.contain('<Rule Id="C6011" Action="None" />');
+
+        action.__get__("createRuleset")(undefined, ["C26400"], []).should.not.contain("<Include");
+    });
+
+    it("generated ruleset path per run", () => {
+        action.__set__("info", () => {});
+        const writeGeneratedRuleset = action.__get__("writeGeneratedRuleset");
+        const rulesetPaths = [writeGeneratedRuleset(undefined, ["C26400"], [])];
+        try {
+            rulesetPaths.push(writeGeneratedRuleset(undefined, ["C26400"], []));
+            rulesetPaths[1].should.not.equal(rulesetPaths[0]);
+            fs.readFileSync(rulesetPaths[1], "utf-8").should.equal(fs.readFileSync(rulesetPaths[0], "utf-8"));
+        } finally {
+            rulesetPaths.forEach((rulesetPath) => fs.unlinkSync(rulesetPath));
+        }
+    });
+
+    describe("resolve includes", () => {
+        let rulesetDirectory;
+        let resolveRuleset;
+
+        function writeRuleset(directory, filename, contents) {
+            const rulesetPath = path.join(directory, filename);
+            fs.writeFileSync(rulesetPath, [
+                '<?xml version="1.0" encoding="utf-8"?>',
+                '<RuleSet Name="Test" ToolsVersion="16.0">'
+            ].concat(contents, ["</RuleSet>"]).join("\n"));
+            return rulesetPath;
+        }
+
+        function rules(ruleActions) {
+            return ['  <Rules AnalyzerId="Microsoft.Analyzers.NativeCodeAnalysis">']
+                .concat(Object.keys(ruleActions).map((id) => `    <Rule Id="${id}" Action="${ruleActions[id]}" />`),
+                    ["  </Rules>"]);
+        }
+
+        beforeEach(() => {
+            rulesetDirectory = tmp.dirSync({ unsafeCleanup: true });
+            resolveRuleset = action.__get__("resolveRuleset");
+            writeRuleset(rulesetDirectory.name, "AllRules.ruleset",
+                rules({ "C6001": "Warning", "C6011": "Warning", "C26400": "None" }));
+        });
+
+        afterEach(() => {
+            rulesetDirectory.removeCallback();
+        });
+
+        it("follow includes", () => {
+            const resolved = resolveRuleset(path.join(sampleDir, "Custom.ruleset"), rulesetDirectory.name);
+            resolved.getEnabledRules().should.deep.equal(["C6001", "C6011"]);
+            resolved.rules.get("C26815").should.equal("None");
+        });
+
+        it("include action overrides included rules", () => {
+            const rulesetPath = writeRuleset(rulesetDirectory.name, "Errors.ruleset",
+                ['  <Include Path="AllRules.ruleset" Action="Error" />'].concat(rules({ "C6011": "None" })));
+            const resolved = resolveRuleset(rulesetPath, undefined);
+            resolved.rules.get("C6001").should.equal("Error");
+            resolved.rules.get("C26400").should.equal("Error");
+            resolved.getEnabledRules().should.deep.equal(["C26400", "C6001"]);
+        });
+
+        it("unknown element", () => {
+            expect(() => resolveRuleset(path.join(sampleDir, "Invalid.ruleset"), rulesetDirectory.name)).to.throw(
+                "Invalid.ruleset:5: Unknown element <Invalid-Ruleset> in <Rules>, expected <Rule>.");
+
+            const unknownPath = writeRuleset(rulesetDirectory.name, "Unknown.ruleset",
+                ["  <Rule Id=\"C6001\" Action=\"Warning\" />"]);
+            expect(() => resolveRuleset(unknownPath, undefined)).to.throw(
+                "Unknown.ruleset:3: Unknown element <Rule> in <RuleSet>.");
+
+            const hintsPath = writeRuleset(rulesetDirectory.name, "Hints.ruleset", [
+                "  <RuleHintPaths>",
+                "    <Path>C:\\hints</Path>",
+                "  </RuleHintPaths>"
+            ].concat(rules({ "C6001": "Warning" })));
+            resolveRuleset(hintsPath, undefined).getEnabledRules().should.deep.equal(["C6001"]);
+        });
+
+        it("missing include", () => {
+            expect(() => resolveRuleset(path.join(sampleDir, "Custom.ruleset"), undefined)).to.throw(
+                "Custom.ruleset:3: Unable to find included ruleset 'AllRules.ruleset'.");
+        });
+
+        it("unknown action", () => {
+            const rulesetPath = writeRuleset(rulesetDirectory.name, "Bad.ruleset", rules({ "C6001": "Enabled" }));
+            expect(() => resolveRuleset(rulesetPath, undefined)).to.throw(
+                "Bad.ruleset:4: Unknown Rule action 'Enabled'");
+        });
+
+        it("malformed XML", () => {
+            const rulesetPath = writeRuleset(rulesetDirectory.name, "Malformed.ruleset",
+                ["  <Rules>", '    <Rule Id="C6001" Action="Warning">', "  </Rules>"]);
+            expect(() => resolveRuleset(rulesetPath, undefined)).to.throw(
+                "Malformed.ruleset:5: Unexpected close tag");
+        });
+
+        it("include cycle", () => {
+            const rulesetPath = writeRuleset(rulesetDirectory.name, "Cycle.ruleset",
+                ['  <Include Path="Cycle.ruleset" Action="Default" />']);
+            expect(() => resolveRuleset(rulesetPath, undefined)).to.throw("Ruleset includes itself");
+        });
+
+        it("write enabled rules", () => {
+            action.__set__("info", () => {});
+            const rulesPath = path.join(rulesetDirectory.name, "results.rules.json");
+            const rulesetPath = path.join(sampleDir, "Custom.ruleset");
+            const resolvedRulesets = new Map();
+            const validateRuleset = action.__get__("validateRuleset");
+            const resolved = validateRuleset(rulesetPath, rulesetDirectory.name, resolvedRulesets);
+            validateRuleset(rulesetPath, rulesetDirectory.name, resolvedRulesets).should.equal(resolved);
+            resolvedRulesets.size.should.equal(1);
+
+            action.__get__("writeEnabledRules")(rulesPath, [...resolvedRulesets.values()]).should.be.true;
+            JSON.parse(fs.readFileSync(rulesPath)).should.deep.equal([{
+                "ruleset": rulesetPath,
+                "includeAllAction": null,
+                "enabledRules": ["C6001", "C6011"]
+            }]);
+            action.__get__("writeEnabledRules")(rulesPath, []).should.be.false;
+        });
+
+        it("log effective rules of generated ruleset", () => {
+            const messages = [];
+            action.__set__("info", (message) => messages.push(message));
+            action.__set__("findEspXEngine", () => "EspXEngine.dll");
+            action.__set__("findRulesetDirectory", () => rulesetDirectory.name);
+            action.__set__("findRuleset", () => path.join(rulesetDirectory.name, "AllRules.ruleset"));
+
+            const resolvedRulesets = new Map();
+            const options = { enabledRules: ["C26400"], disabledRules: ["C6011"] };
+            const getCommonAnalyzeArguments = action.__get__("getCommonAnalyzeArguments");
+            const args = getCommonAnalyzeArguments({}, options, resolvedRulesets);
+            const rulesetPaths = action.__get__("getGeneratedRulesetPaths")([...resolvedRulesets.values()]);
+            try {
+                rulesetPaths.length.should.equal(1);
+                args.should.contain(`/analyze:ruleset${rulesetPaths[0]}`);
+                messages.filter((message) => message == "Rules enabled by the generated ruleset: C26400, C6001")
+                    .length.should.equal(1);
+
+                // another toolchain reuses the same generated ruleset
+                getCommonAnalyzeArguments({}, options, resolvedRulesets).should.deep.equal(args);
+                resolvedRulesets.size.should.equal(1);
+            } finally {
+                fs.unlinkSync(rulesetPaths[0]);
+            }
+        });
+
+        it("remove generated ruleset of invalid base ruleset", () => {
+            action.__set__("info", () => {});
+            action.__set__("findEspXEngine", () => "EspXEngine.dll");
+            action.__set__("findRulesetDirectory", () => rulesetDirectory.name);
+            const basePath = writeRuleset(rulesetDirectory.name, "Bad.ruleset", rules({ "C6001": "Enabled" }));
+            action.__set__("findRuleset", () => basePath);
+            const generatedPath = path.join(rulesetDirectory.name, "generated.ruleset");
+            action.__set__("createTempFile", () => generatedPath);
+
+            expect(() => action.__get__("getCommonAnalyzeArguments")({},
+                { enabledRules: ["C26400"], disabledRules: [] }, new Map())).to.throw(
+                "Bad.ruleset:4: Unknown Rule action 'Enabled'");
+            fs.existsSync(generatedPath).should.be.false;
+        });
+    });
+
+    it("rules cannot be enabled and disabled", () => {
+        process.env["INPUT_ENABLERULES"] = "C26400;C6011";
+        process.env["INPUT_DISABLERULES"] = "C6011";
+        expect(() => new (action.__get__("CompilerCommandOptions"))()).to.throw(
+            "Rules cannot be both enabled and disabled: C6011");
+    });
+});
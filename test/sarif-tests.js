@@ -0,0 +1,623 @@
+"use strict";
+
+const chai = require("chai");
+const fs = require("fs");
+const path = require("path");
+const rewire = require("rewire");
+const tmp = require("tmp");
+
+const expect = chai.expect;
+chai.should();
+
+const sourceFile = "file:///C:/project/src/a.cpp";
+
+function createResult(ruleId, line, message, uri = sourceFile) {
+    return {
+        "ruleId": ruleId,
+        "message": { "text": message },
+        "locations": [{
+            "physicalLocation": {
+                "artifactLocation": { "uri": uri },
+                "region": { "startLine": line, "startColumn": 1 }
+            }
+        }]
+    };
+}
+
+function createSarif(results) {
+    return {
+        "version": "2.1.0",
+        "runs": [{
+            "tool": { "driver": { "name": "PREfast" } },
+            "results": results
+        }]
+    };
+}
+
+describe("Sarif", () => {
+    let action;
+    let tempDir;
+
+    let combineSarif;
+    let countBaselineStates;
+
+    function writeSarif(filename, results) {
+        const sarifPath = path.join(tempDir.name, filename);
+        fs.writeFileSync(sarifPath, JSON.stringify(createSarif(results)));
+        return sarifPath;
+    }
+
+    beforeEach(() => {
+        action = rewire("../index.js");
+        tempDir = tmp.dirSync({ unsafeCleanup: true });
+
+        combineSarif = action.__get__("combineSarif");
+        countBaselineStates = action.__get__("countBaselineStates");
+    });
+
+    afterEach(() => {
+        tempDir.removeCallback();
+    });
+
+    it("remove duplicate results", () => {
+        const result = createResult("C6001", 10, "Using uninitialized memory 'x'.");
+        const sarifFiles = [writeSarif("a.sarif", [result]), writeSarif("b.sarif", [result])];
+        const resultPath = path.join(tempDir.name, "results.sarif");
+        const combinedSarif = combineSarif(resultPath, sarifFiles);
+        combinedSarif.runs[0].results.length.should.equal(1);
+        JSON.parse(fs.readFileSync(resultPath)).should.deep.equal(combinedSarif);
+    });
+
+    it("runs without a tool driver", () => {
+        const sarifA = createSarif([createResult("C6001", 10, "Using uninitialized memory 'x'.")]);
+        delete sarifA.runs[0].tool;
+        const sarifB = createSarif([createResult("C6011", 20, "Dereferencing NULL pointer 'p'.")]);
+        sarifB.runs[0].tool.driver.rules = [{ "id": "C6011" }];
+        const sarifFiles = ["a.sarif", "b.sarif"].map((filename, index) => {
+            const sarifPath = path.join(tempDir.name, filename);
+            fs.writeFileSync(sarifPath, JSON.stringify([sarifA, sarifB][index]));
+            return sarifPath;
+        });
+
+        const run = combineSarif(path.join(tempDir.name, "results.sarif"), sarifFiles).runs[0];
+        run.tool.driver.name.should.equal("PREfast");
+        run.tool.driver.rules.map((rule) => rule.id).should.deep.equal(["C6011"]);
+        run.results.map((result) => result.ruleId).should.deep.equal(["C6001", "C6011"]);
+    });
+
+    it("merge rules from every log", () => {
+        const sarifA = createSarif([Object.assign(createResult("C6001", 10, "Using uninitialized memory 'x'."),
+            { "ruleIndex": 0 })]);
+        sarifA.runs[0].tool.driver.rules = [{ "id": "C6001" }];
+        const sarifB = createSarif([
+            Object.assign(createResult("C6011", 20, "Dereferencing NULL pointer 'p'."), { "ruleIndex": 1 }),
+            // only identified through its rule index
+            { "ruleIndex": 0, "message": { "text": "Using uninitialized memory 'y'." },
+                "locations": createResult("", 30, "").locations }
+        ]);
+        delete sarifB.runs[0].results[1].ruleId;
+        sarifB.runs[0].tool.driver.rules = [{ "id": "C6001" }, { "id": "C6011" }];
+
+        const sarifFiles = ["a.sarif", "b.sarif"].map((filename, index) => {
+            const sarifPath = path.join(tempDir.name, filename);
+            fs.writeFileSync(sarifPath, JSON.stringify([sarifA, sarifB][index]));
+            return sarifPath;
+        });
+
+        const run = combineSarif(path.join(tempDir.name, "results.sarif"), sarifFiles).runs[0];
+        run.tool.driver.rules.map((rule) => rule.id).should.deep.equal(["C6001", "C6011"]);
+        run.results.map((result) => `${result.ruleId}:${result.ruleIndex}`).should.deep.equal(
+            ["C6001:0", "C6011:1", "C6001:0"]);
+    });
+
+    it("separate runs per toolchain", () => {
+        const SarifInput = action.__get__("SarifInput");
+        const cToolchain = { language: "C", path: "C:/VS/14.29/cl.exe", toolsetVersion: "14.29.30133",
+            targetArch: "x86" };
+        const cxxToolchain = { language: "CXX", path: "C:/VS/14.30/cl.exe", toolsetVersion: "14.30.30705",
+            targetArch: "x64" };
+        const sarifFiles = [
+            new SarifInput(writeSarif("a.sarif", [createResult("C6001", 10, "Message.")]), cToolchain),
+            new SarifInput(writeSarif("b.sarif", [createResult("C6001", 10, "Message.")]), cxxToolchain),
+            new SarifInput(writeSarif("c.sarif", [createResult("C6011", 20, "Message.")]), cToolchain)
+        ];
+
+        const resultPath = path.join(tempDir.name, "results.sarif");
+        combineSarif(resultPath, sarifFiles).runs.length.should.equal(1);
+
+        const runs = combineSarif(resultPath, sarifFiles, { separateRuns: true }).runs;
+        runs.map((run) => run.automationDetails.id).should.deep.equal(
+            ["msvc-code-analysis/c/x86/", "msvc-code-analysis/cxx/x64/"]);
+        runs.map((run) => run.results.length).should.deep.equal([2, 1]);
+    });
+
+    it("tag results with configurations", () => {
+        const SarifInput = action.__get__("SarifInput");
+        const sarifFiles = [
+            new SarifInput(writeSarif("a.sarif", [createResult("C6001", 10, "Message.")]), undefined, ["Debug"]),
+            new SarifInput(writeSarif("b.sarif", [createResult("C6001", 10, "Message."),
+                createResult("C6011", 20, "Message.")]), undefined, ["Release"])
+        ];
+
+        const results = combineSarif(path.join(tempDir.name, "results.sarif"), sarifFiles).runs[0].results;
+        results.map((result) => result.properties.configurations).should.deep.equal(
+            [["Debug", "Release"], ["Release"]]);
+    });
+
+    it("report compile failures", () => {
+        const CompileFailure = action.__get__("CompileFailure");
+        const failure = new CompileFailure({ source: "C:\\project\\src\\b.cpp" },
+            { exitCode: 2, output: "b.cpp(3): error C2065: 'x': undeclared identifier" });
+        const run = combineSarif(path.join(tempDir.name, "results.sarif"),
+            [writeSarif("a.sarif", [createResult("C6001", 10, "Message.")])], {}, "C:\\project", [failure]).runs[0];
+
+        run.results.length.should.equal(1);
+        run.invocations.length.should.equal(1);
+        run.invocations[0].executionSuccessful.should.be.false;
+        const notification = run.invocations[0].toolExecutionNotifications[0];
+        notification.message.text.should.equal(
+            "Compilation failed with exit code 2.\nb.cpp(3): error C2065: 'x': undeclared identifier");
+        notification.properties.exitCode.should.equal(2);
+        notification.locations[0].physicalLocation.artifactLocation.should.deep.equal(
+            { uri: "src/b.cpp", uriBaseId: "SRCROOT" });
+    });
+
+    it("no results", () => {
+        const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"), []);
+        combinedSarif.runs[0].tool.driver.name.should.be.a("string");
+    });
+
+    describe("source root", () => {
+        const sourceRoot = "C:\\project";
+
+        it("make locations relative to the source root", () => {
+            const result = createResult("C6001", 10, "Message.");
+            result.relatedLocations = createResult("", 5, "", "file:///C:/Project/include/my%20header.h").locations;
+            const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"),
+                [writeSarif("a.sarif", [result])], {}, sourceRoot);
+
+            const run = combinedSarif.runs[0];
+            run.originalUriBaseIds.should.deep.equal({ SRCROOT: { uri: "file:///C:/project/" } });
+            run.results[0].locations[0].physicalLocation.artifactLocation.should.deep.equal(
+                { uri: "src/a.cpp", uriBaseId: "SRCROOT" });
+            run.results[0].relatedLocations[0].physicalLocation.artifactLocation.should.deep.equal(
+                { uri: "include/my%20header.h", uriBaseId: "SRCROOT" });
+            expect(run.results[0].properties).to.be.undefined;
+        });
+
+        it("relative locations with mixed separators", () => {
+            const result = createResult("C6001", 10, "Message.", "file:///c:/Project//src\\sub/./a.cpp");
+            const run = combineSarif(path.join(tempDir.name, "results.sarif"),
+                [writeSarif("a.sarif", [result])], {}, "C:/project\\").runs[0];
+            run.results[0].locations[0].physicalLocation.artifactLocation.should.deep.equal(
+                { uri: "src/sub/a.cpp", uriBaseId: "SRCROOT" });
+        });
+
+        it("flag results outside the source root", () => {
+            const sarifFile = writeSarif("a.sarif", [
+                createResult("C6001", 10, "Message."),
+                createResult("C6011", 20, "Message.", "C:\\VS\\include\\vector")
+            ]);
+            const resultPath = path.join(tempDir.name, "results.sarif");
+
+            const results = combineSarif(resultPath, [sarifFile], {}, sourceRoot).runs[0].results;
+            results.length.should.equal(2);
+            results[1].properties.outsideSourceRoot.should.be.true;
+            results[1].locations[0].physicalLocation.artifactLocation.should.deep.equal(
+                { uri: "file:///C:/VS/include/vector" });
+
+            combineSarif(resultPath, [sarifFile], { dropOutsideSourceRoot: true }, sourceRoot)
+                .runs[0].results.map((result) => result.ruleId).should.deep.equal(["C6001"]);
+        });
+
+        it("count duplicate results outside the source root once", () => {
+            const warnings = [];
+            action.__set__("warning", (message) => warnings.push(message));
+            const sarifFiles = ["a.sarif", "b.sarif"].map((filename) => writeSarif(filename,
+                [createResult("C6011", 20, "Message.", "C:\\VS\\include\\vector")]));
+            const resultPath = path.join(tempDir.name, "results.sarif");
+
+            combineSarif(resultPath, sarifFiles, {}, sourceRoot).runs[0].results.length.should.equal(1);
+            combineSarif(resultPath, sarifFiles, { dropOutsideSourceRoot: true }, sourceRoot)
+                .runs[0].results.length.should.equal(0);
+            warnings.should.deep.equal([
+                "1 result(s) were reported in files outside the source root 'C:\\project'.",
+                "1 result(s) were reported in files outside the source root 'C:\\project' and were removed."
+            ]);
+        });
+
+        it("match baseline with relative locations", () => {
+            const resultPath = path.join(tempDir.name, "results.sarif");
+            combineSarif(resultPath, [writeSarif("a.sarif", [createResult("C6001", 10, "Message.")])],
+                {}, sourceRoot);
+
+            const combinedSarif = combineSarif(path.join(tempDir.name, "new.sarif"),
+                [writeSarif("b.sarif", [createResult("C6001", 12, "Message.")])],
+                { baselineSarif: resultPath });
+            combinedSarif.runs[0].results.map((result) => result.baselineState).should.deep.equal(["unchanged"]);
+        });
+    });
+
+    describe("baseline", () => {
+        it("set baselineState", () => {
+            const baselineSarif = writeSarif("baseline.sarif", [
+                createResult("C6001", 10, "Using uninitialized memory 'x'."),
+                createResult("C26495", 20, "Variable 'y' is uninitialized (type.6)."),
+                createResult("C6011", 30, "Dereferencing NULL pointer 'p'.")
+            ]);
+            const sarifFile = writeSarif("a.sarif", [
+                // moved down after code was added above it
+                createResult("C6001", 15, "Using uninitialized memory 'x'."),
+                createResult("C26495", 25, "Variable 'y' is uninitialized (type.6)."),
+                createResult("C6385", 40, "Reading invalid data from 'buffer'.")
+            ]);
+
+            const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"), [sarifFile],
+                { baselineSarif: baselineSarif });
+            const states = combinedSarif.runs[0].results.map((result) => `${result.ruleId}:${result.baselineState}`);
+            states.should.deep.equal(["C6001:unchanged", "C26495:unchanged", "C6385:new", "C6011:absent"]);
+            countBaselineStates(combinedSarif).should.deep.equal({ new: 1, unchanged: 2, absent: 1 });
+        });
+
+        it("match repeated results to closest line", () => {
+            const baselineSarif = writeSarif("baseline.sarif", [
+                createResult("C26481", 10, "Don't use pointer arithmetic."),
+                createResult("C26481", 50, "Don't use pointer arithmetic.")
+            ]);
+            const sarifFile = writeSarif("a.sarif", [
+                createResult("C26481", 52, "Don't use pointer arithmetic.")
+            ]);
+
+            const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"), [sarifFile],
+                { baselineSarif: baselineSarif });
+            const results = combinedSarif.runs[0].results;
+            results.map((result) => result.baselineState).should.deep.equal(["unchanged", "absent"]);
+            results[1].locations[0].physicalLocation.region.startLine.should.equal(10);
+        });
+
+        it("missing baseline", () => {
+            const sarifFile = writeSarif("a.sarif", [createResult("C6001", 10, "Using uninitialized memory 'x'.")]);
+            const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"), [sarifFile],
+                { baselineSarif: path.join(tempDir.name, "missing.sarif") });
+            combinedSarif.runs[0].results[0].baselineState.should.equal("new");
+        });
+
+        it("failOn requires baseline", () => {
+            process.env["INPUT_FAILON"] = "new";
+            try {
+                expect(() => new (action.__get__("SarifOptions"))()).to.throw(
+                    "failOn 'new' requires baselineSarif to be set.");
+            } finally {
+                delete process.env["INPUT_FAILON"];
+            }
+        });
+    });
+
+    describe("quality gate", () => {
+        let countResults;
+        let evaluateQualityGate;
+
+        const sarifLog = createSarif([
+            Object.assign(createResult("C6011", 10, "Dereferencing NULL pointer 'p'."), { "level": "error" }),
+            createResult("C6001", 20, "Using uninitialized memory 'x'."),
+            createResult("C6001", 30, "Using uninitialized memory 'y'."),
+            Object.assign(createResult("C26495", 40, "Variable 'z' is uninitialized."), { "ruleIndex": 0 }),
+            Object.assign(createResult("C26400", 50, "Fixed."), { "baselineState": "absent" })
+        ]);
+        sarifLog.runs[0].tool.driver.rules = [
+            { "id": "C26495", "defaultConfiguration": { "level": "note" } }
+        ];
+
+        function gate(options) {
+            return evaluateQualityGate(countResults(sarifLog),
+                Object.assign({ maxResults: undefined, failOnLevel: undefined, failOnRules: [] }, options));
+        }
+
+        beforeEach(() => {
+            countResults = action.__get__("countResults");
+            evaluateQualityGate = action.__get__("evaluateQualityGate");
+        });
+
+        it("count results by level", () => {
+            const counts = countResults(sarifLog);
+            counts.total.should.equal(4);
+            counts.levels.should.deep.equal({ error: 1, warning: 2, note: 1, none: 0 });
+            counts.rules.should.deep.equal({ C6011: 1, C6001: 2, C26495: 1 });
+        });
+
+        it("pass", () => {
+            gate({}).length.should.equal(0);
+            gate({ maxResults: 4, failOnRules: ["C26400"] }).length.should.equal(0);
+        });
+
+        it("maximum results", () => {
+            gate({ maxResults: 3 }).should.deep.equal(["4 result(s) exceed the maximum of 3"]);
+        });
+
+        it("minimum level", () => {
+            gate({ failOnLevel: "warning" }).should.deep.equal(
+                ["3 result(s) at level 'warning' or above (error: 1, warning: 2)"]);
+            gate({ failOnLevel: "note" })[0].should.contain("4 result(s)");
+        });
+
+        it("failing rules", () => {
+            gate({ failOnRules: ["C6001", "C6385"] }).should.deep.equal(
+                ["Result(s) found for rules that always fail (C6001: 2)"]);
+            gate({ failOnRules: ["c6001"] }).should.deep.equal(
+                ["Result(s) found for rules that always fail (c6001: 2)"]);
+        });
+
+        it("invalid level", () => {
+            process.env["INPUT_FAILONLEVEL"] = "fatal";
+            try {
+                expect(() => new (action.__get__("QualityGateOptions"))()).to.throw(
+                    "Unknown failOnLevel value 'fatal'");
+            } finally {
+                delete process.env["INPUT_FAILONLEVEL"];
+            }
+        });
+
+        it("gate inputs", () => {
+            const QualityGateOptions = action.__get__("QualityGateOptions");
+            try {
+                process.env["INPUT_MAXRESULTS"] = "0";
+                process.env["INPUT_FAILONRULES"] = " c6001 ;;C6385";
+                const options = new QualityGateOptions();
+                options.maxResults.should.equal(0);
+                options.failOnRules.should.deep.equal(["C6001", "C6385"]);
+
+                process.env["INPUT_FAILONRULES"] = "C6001;Wall";
+                expect(() => new QualityGateOptions()).to.throw("Invalid warning ID 'WALL' in failOnRules");
+                process.env["INPUT_FAILONRULES"] = "";
+
+                process.env["INPUT_MAXRESULTS"] = "-1";
+                expect(() => new QualityGateOptions()).to.throw("maxResults must be a non-negative integer.");
+            } finally {
+                delete process.env["INPUT_MAXRESULTS"];
+                delete process.env["INPUT_FAILONRULES"];
+            }
+        });
+    });
+
+    describe("suppressions", () => {
+        let workspace;
+
+        function writeSuppressions(suppressions) {
+            const suppressionsFile = path.join(tempDir.name, "suppressions.json");
+            fs.writeFileSync(suppressionsFile, JSON.stringify({ "suppressions": suppressions }));
+            return action.__get__("loadSuppressions")(suppressionsFile);
+        }
+
+        function getLine(result) {
+            return result.locations[0].physicalLocation.region.startLine;
+        }
+
+        function combineWithSuppressions(suppressions, suppressionMode) {
+            const sarifFile = writeSarif("a.sarif", [
+                createResult("C26495", 10, "Variable 'x' is uninitialized.", "file:///C:/project/src/gen/a.pb.cc"),
+                createResult("C26495", 20, "Variable 'y' is uninitialized.", "file:///C:/project/src/main.cpp"),
+                createResult("C6001", 30, "Using uninitialized memory 'z'.", "file:///C:/project/src/gen/a.pb.cc")
+            ]);
+            return combineSarif(path.join(tempDir.name, "results.sarif"), [sarifFile],
+                { suppressions: suppressions, suppressionMode: suppressionMode });
+        }
+
+        beforeEach(() => {
+            workspace = process.env["GITHUB_WORKSPACE"];
+            process.env["GITHUB_WORKSPACE"] = "C:/project";
+        });
+
+        afterEach(() => {
+            process.env["GITHUB_WORKSPACE"] = workspace;
+            if (workspace == undefined) {
+                delete process.env["GITHUB_WORKSPACE"];
+            }
+        });
+
+        it("suppress matching results", () => {
+            const suppressions = writeSuppressions([
+                { "ruleId": "C26495", "path": "src/gen/**", "justification": "Generated code" },
+                { "ruleId": "C6011", "path": "**/*.cpp", "justification": "Stale" }
+            ]);
+            const results = combineWithSuppressions(suppressions, "suppress").runs[0].results;
+            results.length.should.equal(3);
+            results[0].suppressions.should.deep.equal([{ "kind": "external", "justification": "Generated code" }]);
+            expect(results[1].suppressions).to.be.undefined;
+            expect(results[2].suppressions).to.be.undefined;
+            suppressions.map((suppression) => suppression.matchCount).should.deep.equal([1, 0]);
+        });
+
+        it("drop matching results", () => {
+            const suppressions = writeSuppressions([
+                { "ruleId": "C26495", "path": "src/*.cpp", "line": 20, "justification": "False positive" },
+                { "ruleId": "C6001", "path": "**", "message": "memory 'z'", "justification": "False positive" }
+            ]);
+            const results = combineWithSuppressions(suppressions, "drop").runs[0].results;
+            results.map((result) => getLine(result)).should.deep.equal([10]);
+        });
+
+        it("suppressed results are not counted", () => {
+            // rule IDs are case-insensitive
+            const suppressions = writeSuppressions([
+                { "ruleId": "c6001", "path": "**", "justification": "False positive" }
+            ]);
+            const combinedSarif = combineWithSuppressions(suppressions, "suppress");
+            action.__get__("countResults")(combinedSarif).total.should.equal(2);
+        });
+
+        it("suppressed new results are not counted", () => {
+            const suppressions = writeSuppressions([
+                { "ruleId": "C6001", "path": "**", "justification": "False positive" }
+            ]);
+            const sarifFile = writeSarif("a.sarif", [
+                createResult("C26495", 20, "Variable 'y' is uninitialized.", "file:///C:/project/src/main.cpp"),
+                createResult("C6001", 30, "Using uninitialized memory 'z'.", "file:///C:/project/src/main.cpp")
+            ]);
+            const baselineSarif = writeSarif("baseline.sarif", [
+                createResult("C26495", 20, "Variable 'y' is uninitialized.", "file:///C:/project/src/main.cpp")
+            ]);
+            const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"), [sarifFile],
+                { suppressions: suppressions, suppressionMode: "suppress", baselineSarif: baselineSarif });
+            combinedSarif.runs[0].results.map((result) => result.baselineState).should.deep.equal(["unchanged", "new"]);
+            countBaselineStates(combinedSarif).should.deep.equal({ new: 0, unchanged: 1, absent: 0 });
+        });
+
+        it("justification is required", () => {
+            expect(() => writeSuppressions([{ "ruleId": "C6001", "path": "**" }])).to.throw(
+                "Suppression #1 (C6001 in **) requires a 'justification'.");
+        });
+    });
+
+    describe("job summary", () => {
+        let createSummary;
+
+        beforeEach(() => {
+            createSummary = action.__get__("createSummary");
+        });
+
+        it("tables of results", () => {
+            const results = [createResult("C6001", 10, "Message."), createResult("C6001", 20, "Message.")];
+            results.push(createResult("C26495", 10, "Message.", "file:///C:/project/src/b%7Cc.cpp"));
+            const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"),
+                [writeSarif("a.sarif", results)]);
+            combinedSarif.runs[0].tool.driver.rules = [{ "id": "C26495", "helpUri": "https://example.com/c26495" }];
+
+            const summary = createSummary(action.__get__("countResults")(combinedSarif), combinedSarif, []);
+            summary.should.contain("| **Total** | **3** |");
+            summary.should.contain("| [C6001](https://docs.microsoft.com/cpp/code-quality/c6001) | 2 |");
+            summary.should.contain("| [C26495](https://example.com/c26495) | 1 |");
+            summary.should.contain("| C:/project/src/a.cpp | 2 |");
+            summary.should.contain("| C:/project/src/b\\|c.cpp | 1 |");
+            summary.should.not.contain("failed to compile");
+        });
+
+        it("truncate large tables", () => {
+            const results = [...Array(15).keys()].map((index) => createResult(`C${6000 + index}`, 10, "Message."));
+            const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"),
+                [writeSarif("a.sarif", results)]);
+
+            const summary = createSummary(action.__get__("countResults")(combinedSarif), combinedSarif, []);
+            summary.should.contain("C6009");
+            summary.should.not.contain("C6010");
+            summary.should.contain("_5 more not shown._");
+        });
+
+        it("files that failed to compile", () => {
+            const summary = createSummary(undefined, undefined, ["C:\\project\\src\\a.cpp"]);
+            summary.should.contain("Analysis did not complete");
+            summary.should.contain("### Files that failed to compile\n\n- C:/project/src/a.cpp");
+        });
+    });
+
+    it("annotations", () => {
+        process.env.GITHUB_WORKSPACE = "C:\\project";
+        const results = [...Array(12).keys()].map((index) =>
+            Object.assign(createResult("C6001", index + 1, "Message."), { "level": "note" }));
+        results.push(Object.assign(createResult("C6011", 30, "Dereferencing NULL pointer."), { "level": "error" }));
+        const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"),
+            [writeSarif("a.sarif", results)]);
+
+        const { annotations, omittedCount } = action.__get__("createAnnotations")(combinedSarif);
+        delete process.env.GITHUB_WORKSPACE;
+        annotations.length.should.equal(11);
+        omittedCount.should.equal(2);
+        annotations[0].command.should.equal("error");
+        annotations[0].properties.should.deep.equal(
+            { title: "C6011", file: "src/a.cpp", startLine: 30, startColumn: 1 });
+        annotations[0].message.should.equal("C6011: Dereferencing NULL pointer.");
+        annotations.slice(1).every((annotation) => annotation.command == "notice").should.be.true;
+    });
+
+    it("emit annotations", () => {
+        const emitted = [];
+        for (const command of ["error", "warning", "notice"]) {
+            action.__set__(command, (message, properties) => emitted.push({ command, message, properties }));
+        }
+        action.__set__("info", () => {});
+
+        const combinedSarif = combineSarif(path.join(tempDir.name, "results.sarif"), [writeSarif("a.sarif", [
+            Object.assign(createResult("C6011", 30, "Dereferencing NULL pointer."), { "level": "error" }),
+            createResult("C6001", 10, "Message.")
+        ])]);
+        action.__get__("writeAnnotations")(combinedSarif);
+        emitted.map((annotation) => `${annotation.command}:${annotation.properties.startLine}`)
+            .should.deep.equal(["error:30", "warning:10"]);
+        emitted[0].message.should.equal("C6011: Dereferencing NULL pointer.");
+    });
+
+    describe("reports", () => {
+        let combinedSarif;
+        let resultPath;
+
+        beforeEach(() => {
+            process.env.GITHUB_WORKSPACE = "C:\\project";
+            resultPath = path.join(tempDir.name, "results.sarif");
+            combinedSarif = combineSarif(resultPath, [writeSarif("a.sarif", [
+                createResult("C6001", 10, "Using uninitialized memory 'x' & 'y'."),
+                createResult("C6001", 20, "Using uninitialized memory 'x' & 'y'."),
+                Object.assign(createResult("C6011", 30, "Dereferencing NULL pointer."), { "level": "error" })
+            ])]);
+        });
+
+        afterEach(() => {
+            delete process.env.GITHUB_WORKSPACE;
+        });
+
+        it("write each format", () => {
+            const writeReports = action.__get__("writeReports");
+            const reportPaths = writeReports(resultPath, combinedSarif, ["junit", "checkstyle", "codeclimate"],
+                ["C:\\project\\src\\a.cpp", "C:\\project\\src\\b.cpp"]);
+            reportPaths.junit.should.equal(path.join(tempDir.name, "results.junit.xml"));
+
+            const junit = fs.readFileSync(reportPaths.junit, "utf-8");
+            junit.should.contain('tests="2" failures="1"');
+            junit.should.contain('<testcase classname="msvc-code-analysis" name="src/b.cpp"/>');
+            junit.match(/<failure /g).length.should.equal(3);
+            junit.should.contain("message=\"Using uninitialized memory &apos;x&apos; &amp; &apos;y&apos;.\"");
+
+            const checkstyle = fs.readFileSync(reportPaths.checkstyle, "utf-8");
+            checkstyle.should.contain('<file name="src/a.cpp">');
+            checkstyle.should.contain('<error line="30" column="1" severity="error"');
+
+            const issues = JSON.parse(fs.readFileSync(reportPaths.codeclimate, "utf-8"));
+            issues.map((issue) => issue.severity).should.deep.equal(["major", "major", "critical"]);
+            issues[2].location.should.deep.equal({ path: "src/a.cpp", positions: { begin: { line: 30, column: 1 } } });
+            new Set(issues.map((issue) => issue.fingerprint)).size.should.equal(3);
+        });
+
+        it("stable fingerprints", () => {
+            const createCodeClimateReport = action.__get__("createCodeClimateReport");
+            const ReportResult = action.__get__("ReportResult");
+            const getFingerprints = (sarifLog) => JSON.parse(createCodeClimateReport(sarifLog.runs[0].results
+                .map((result) => new ReportResult(result, sarifLog.runs[0])))).map((issue) => issue.fingerprint);
+
+            const movedSarif = combineSarif(resultPath, [writeSarif("b.sarif", [
+                createResult("C6001", 15, "Using uninitialized memory 'x' & 'y'."),
+                createResult("C6001", 25, "Using uninitialized memory 'x' & 'y'."),
+                Object.assign(createResult("C6011", 35, "Dereferencing NULL pointer."), { "level": "error" })
+            ])]);
+            getFingerprints(movedSarif).should.deep.equal(getFingerprints(combinedSarif));
+        });
+
+        it("report format input", () => {
+            process.env["INPUT_REPORTFORMATS"] = " JUnit ;; ";
+            try {
+                new (action.__get__("SarifOptions"))().reportFormats.should.deep.equal(["junit"]);
+
+                process.env["INPUT_REPORTFORMATS"] = "junit;sonar";
+                expect(() => new (action.__get__("SarifOptions"))()).to.throw("Unknown report format 'sonar'");
+            } finally {
+                delete process.env["INPUT_REPORTFORMATS"];
+            }
+        });
+    });
+
+    it("globToRegExp", () => {
+        const globToRegExp = action.__get__("globToRegExp");
+        globToRegExp("src/**/*.cpp").test("src/a.cpp").should.be.true;
+        globToRegExp("src/**/*.cpp").test("src/x/y/a.cpp").should.be.true;
+        globToRegExp("src/*.cpp").test("src/x/a.cpp").should.be.false;
+        globToRegExp("src\\file?.C").test("SRC/file1.c").should.be.true;
+        globToRegExp("a+b.cpp").test("aab.cpp").should.be.false;
+    });
+});
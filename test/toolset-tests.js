@@ -0,0 +1,165 @@
+"use strict";
+
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+const fs = require("fs");
+const path = require("path");
+const rewire = require("rewire");
+const tmp = require("tmp");
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+chai.should();
+
+describe("Toolset", () => {
+    let action;
+    let tempDir;
+    let programFiles;
+
+    let ToolchainInfo;
+    let findVisualStudioInstallation;
+
+    // Create a fake toolset in the given directory with only the files looked up by the action.
+    function createToolset(toolsetDir, hostDir, targetArch) {
+        const binDir = path.join(toolsetDir, "bin", hostDir);
+        fs.mkdirSync(path.join(binDir, targetArch), { recursive: true });
+        fs.writeFileSync(path.join(binDir, targetArch, "cl.exe"), "");
+        fs.mkdirSync(path.join(binDir, hostDir.substring(4).toLowerCase()), { recursive: true });
+        fs.writeFileSync(path.join(binDir, hostDir.substring(4).toLowerCase(), "EspXEngine.dll"), "");
+        return new ToolchainInfo({
+            language: "CXX",
+            compiler: { path: path.join(binDir, targetArch, "cl.exe"), implicit: {} }
+        });
+    }
+
+    // Create the files of a fake Visual Studio or Build Tools installation.
+    function createInstallation(installationDir) {
+        fs.mkdirSync(path.join(installationDir, "Team Tools", "Static Analysis Tools", "Rule Sets"),
+            { recursive: true });
+        fs.mkdirSync(path.join(installationDir, "VC", "Auxiliary", "Build"), { recursive: true });
+        fs.writeFileSync(path.join(installationDir, "VC", "Auxiliary", "Build", "vcvarsall.bat"), "");
+    }
+
+    beforeEach(() => {
+        action = rewire("../index.js");
+        action.__set__("debug", () => {});
+        ToolchainInfo = action.__get__("ToolchainInfo");
+        findVisualStudioInstallation = action.__get__("findVisualStudioInstallation");
+
+        tempDir = tmp.dirSync({ unsafeCleanup: true });
+        programFiles = process.env["ProgramFiles(x86)"];
+        process.env["ProgramFiles(x86)"] = path.join(tempDir.name, "Program Files (x86)");
+    });
+
+    afterEach(() => {
+        if (programFiles === undefined) {
+            delete process.env["ProgramFiles(x86)"];
+        } else {
+            process.env["ProgramFiles(x86)"] = programFiles;
+        }
+
+        tempDir.removeCallback();
+    });
+
+    it("host and target architectures", () => {
+        const toolsetDir = path.join(tempDir.name, "VC", "Tools", "MSVC", "14.30.30705");
+        const arm64 = createToolset(toolsetDir, "Hostarm64", "arm64");
+        arm64.hostArch.should.equal("arm64");
+        arm64.targetArch.should.equal("arm64");
+        arm64.toolsetVersion.should.equal("14.30.30705");
+
+        const cross = createToolset(toolsetDir, "HostX64", "ARM64");
+        cross.hostArch.should.equal("x64");
+        cross.targetArch.should.equal("arm64");
+
+        expect(() => createToolset(toolsetDir, "Hostppc", "ppc")).to.throw("Unknown MSVC toolset layout");
+    });
+
+    it("find Build Tools installation from toolset layout", async () => {
+        const installationDir = path.join(tempDir.name, "BuildTools");
+        createInstallation(installationDir);
+        const toolchain = createToolset(path.join(installationDir, "VC", "Tools", "MSVC", "14.30.30705"),
+            "Hostarm64", "arm64");
+        toolchain.installationPath = await findVisualStudioInstallation(toolchain);
+        toolchain.installationPath.should.equal(installationDir);
+
+        action.__get__("findEspXEngine")(toolchain, {}).should.equal(
+            path.join(path.dirname(path.dirname(toolchain.path)), "arm64", "EspXEngine.dll"));
+        action.__get__("findRulesetDirectory")(toolchain, {}).should.equal(
+            path.join(installationDir, "Team Tools", "Static Analysis Tools", "Rule Sets"));
+        action.__get__("findCommandPrompt")(toolchain, {}).should.equal(
+            path.join(installationDir, "VC", "Auxiliary", "Build", "vcvarsall.bat"));
+    });
+
+    it("find installation listed by vswhere", async () => {
+        const installationDir = path.join(tempDir.name, "Custom");
+        createInstallation(installationDir);
+        const toolchain = createToolset(path.join(installationDir, "Toolsets", "14.29.30133"), "Hostx64", "x86");
+
+        const vswherePath = path.join(process.env["ProgramFiles(x86)"], "Microsoft Visual Studio", "Installer",
+            "vswhere.exe");
+        fs.mkdirSync(path.dirname(vswherePath), { recursive: true });
+        fs.writeFileSync(vswherePath, "");
+        action.__set__("getExecOutput", async (tool) => {
+            tool.should.equal(vswherePath);
+            return {
+                exitCode: 0,
+                stdout: JSON.stringify([
+                    { installationPath: path.join(tempDir.name, "Other") },
+                    { installationPath: installationDir }
+                ])
+            };
+        });
+
+        (await findVisualStudioInstallation(toolchain)).should.equal(installationDir);
+    });
+
+    it("match whole installation directories", async () => {
+        const installationDir = path.join(tempDir.name, "VS", "2022Preview");
+        createInstallation(installationDir);
+        const toolchain = createToolset(path.join(installationDir, "VC", "Tools", "MSVC", "14.30.30705"),
+            "Hostx64", "x64");
+
+        const vswherePath = path.join(process.env["ProgramFiles(x86)"], "Microsoft Visual Studio", "Installer",
+            "vswhere.exe");
+        fs.mkdirSync(path.dirname(vswherePath), { recursive: true });
+        fs.writeFileSync(vswherePath, "");
+        action.__set__("getExecOutput", async () => ({
+            exitCode: 0,
+            stdout: JSON.stringify([
+                { installationPath: path.join(tempDir.name, "VS", "2022") },
+                { installationPath: installationDir }
+            ])
+        }));
+
+        (await findVisualStudioInstallation(toolchain)).should.equal(installationDir);
+        const containsSubdirectory = action.__get__("containsSubdirectory");
+        containsSubdirectory([path.join("C:", "VS", "2022")], path.join("C:", "VS", "2022Preview")).should.be.false;
+        containsSubdirectory([path.join("C:", "VS", "2022")], path.join("C:", "VS", "2022")).should.be.true;
+        containsSubdirectory([path.join("C:", "VS", "2022") + path.sep], path.join("C:", "VS", "2022", "VC"))
+            .should.be.true;
+    });
+
+    it("toolset path overrides", async () => {
+        const toolchain = createToolset(path.join(tempDir.name, "toolset"), "Hostx64", "x64");
+        toolchain.installationPath = await findVisualStudioInstallation(toolchain);
+        expect(toolchain.installationPath).to.be.undefined;
+        expect(action.__get__("findRulesetDirectory")(toolchain, {})).to.be.undefined;
+        expect(() => action.__get__("findCommandPrompt")(toolchain, {})).to.throw("Set vcvarsallPath");
+
+        const customDir = path.join(tempDir.name, "custom");
+        createInstallation(customDir);
+        fs.writeFileSync(path.join(customDir, "EspXEngine.dll"), "");
+        const options = {
+            espXEnginePath: path.join(customDir, "EspXEngine.dll"),
+            rulesetDirectory: path.join(customDir, "Team Tools", "Static Analysis Tools", "Rule Sets"),
+            vcvarsallPath: path.join(customDir, "VC", "Auxiliary", "Build", "vcvarsall.bat")
+        };
+        action.__get__("findEspXEngine")(toolchain, options).should.equal(options.espXEnginePath);
+        action.__get__("findRulesetDirectory")(toolchain, options).should.equal(options.rulesetDirectory);
+        action.__get__("findCommandPrompt")(toolchain, options).should.equal(options.vcvarsallPath);
+
+        expect(() => action.__get__("findEspXEngine")(toolchain, { espXEnginePath: path.join(customDir, "missing") }))
+            .to.throw("espXEnginePath does not exist");
+    });
+});